@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.model.js';
+import { activeSession } from '../utils/sessions.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -18,6 +19,17 @@ export const protect = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+
+      // Tokens of revoked or expired sessions (and older tokens without a session) are refused
+      const session = await activeSession(decoded.sid, decoded.id);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or was signed out'
+        });
+      }
+      req.sessionId = session._id;
+
       req.user = await User.findById(decoded.id).select('-password');
       
       if (!req.user) {
@@ -49,6 +61,26 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// For public routes that behave differently for signed-in users: attaches req.user when a
+// valid token is sent, and carries on anonymously otherwise
+export const optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer')) return next();
+
+  try {
+    const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+    const session = await activeSession(decoded.sid, decoded.id);
+    const user = session && await User.findById(decoded.id).select('-password');
+    if (user && user.isActive) {
+      req.user = user;
+      req.sessionId = session._id;
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous
+  }
+  next();
+};
+
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -63,7 +63,11 @@ const adminSettingsSchema = new mongoose.Schema({
     otp: String,
     applicationSubmitted: String,
     applicationApproved: String,
-    applicationRejected: String
+    applicationRejected: String,
+    // Eligibility decision emails: HTML body and subject with {{placeholders}}
+    // (see utils/eligibilityEmails.js); empty means the built-in default
+    eligibilityApproved: { subject: String, body: String },
+    eligibilityRejected: { subject: String, body: String }
   },
   authentication: {
     method: {
@@ -71,6 +75,11 @@ const adminSettingsSchema = new mongoose.Schema({
       enum: ['otp', 'smtp', 'firebase', 'both'],
       default: 'smtp'
     },
+    // Let OTP login create an account for an email or phone that isn't registered yet
+    otpSignup: {
+      type: Boolean,
+      default: false
+    },
     firebaseConfig: {
       apiKey: String,
       authDomain: String,
@@ -80,6 +89,32 @@ const adminSettingsSchema = new mongoose.Schema({
       appId: String
     }
   },
+  applicationNumbering: {
+    // Tokens: {prefix}, {category} (loan category code), {fy} (financial year, e.g. 2026 for
+    // Apr 2026 - Mar 2027) and {seq}. Numbers restart for every category/year in the format.
+    format: {
+      type: String,
+      default: 'APP{seq}',
+      validate: {
+        validator: v => v.includes('{seq}'),
+        message: 'Application number format must contain {seq}'
+      }
+    },
+    prefix: { type: String, default: 'BS', trim: true },
+    padding: { type: Number, default: 6, min: 1, max: 12 }
+  },
+  // Days an applicant has to accept a loan offer before it expires
+  offerValidityDays: {
+    type: Number,
+    default: 7,
+    min: 1
+  },
+  // Days after a rejected eligibility check before the applicant may check again
+  eligibilityReapplyDays: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
   termsAndConditions: String,
   privacyPolicy: String
 }, {
@@ -1,4 +1,54 @@
 import mongoose from 'mongoose';
+import { nextApplicationNumber } from '../utils/applicationNumber.js';
+import { normalizePan, normalizeAadhaar, normalizePhone, normalizeEmail } from '../utils/identity.js';
+import { riskFlagSchema, RISK_LEVELS } from './riskFlag.schema.js';
+import { applyKycFields } from '../utils/kyc.js';
+
+// Drafts are saved section by section, so required fields only apply once submitted
+const requiredUnlessDraft = function() {
+  return this.status !== 'Draft';
+};
+
+// Allowed status moves. Anything not listed here is rejected with a 409 by the routes
+// and blocked again in pre('validate') as a safety net.
+// 'Offered' means an offer is waiting for the applicant: accepting it approves the
+// application, declining or letting it expire sends it back to Under Review.
+// 'Withdrawn' is set by the applicant while the application is still being assessed.
+export const STATUS_TRANSITIONS = {
+  'Draft': ['Submitted'],
+  'Submitted': ['Under Review', 'Documents Pending', 'Offered', 'Approved', 'Rejected', 'Withdrawn'],
+  'Under Review': ['Documents Pending', 'Offered', 'Approved', 'Rejected', 'Withdrawn'],
+  'Documents Pending': ['Under Review', 'Offered', 'Approved', 'Rejected', 'Withdrawn'],
+  'Offered': ['Approved', 'Under Review', 'Rejected'],
+  'Approved': [],
+  'Rejected': [],
+  'Withdrawn': []
+};
+
+// Applications waiting for the lender (dashboard "pending" count)
+export const PENDING_STATUSES = ['Submitted', 'Under Review'];
+
+// Terms proposed by a credit officer, which may differ from what was requested
+const offerSchema = new mongoose.Schema({
+  loanAmount: { type: Number, required: true },
+  loanTenure: { type: Number, required: true }, // in months
+  interestRate: { type: Number, required: true },
+  emi: { type: Number, required: true },
+  processingFee: { type: Number, default: 0 },
+  totalPayable: Number,
+  remarks: String,
+  status: {
+    type: String,
+    enum: ['Pending', 'Accepted', 'Declined', 'Expired', 'Superseded'],
+    default: 'Pending'
+  },
+  expiresAt: { type: Date, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  respondedAt: Date, // accepted or declined
+  acceptedAt: Date,
+  declineReason: String
+});
 
 const applicationSchema = new mongoose.Schema({
   userId: {
@@ -9,16 +59,21 @@ const applicationSchema = new mongoose.Schema({
   loanId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Loan',
-    required: true
+    required: requiredUnlessDraft
   },
   loanType: {
     type: String,
-    required: true
+    required: requiredUnlessDraft
+  },
+  // Eligibility check the application was started from, if any
+  eligibilityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Eligibility'
   },
   personalInfo: {
-    fullName: { type: String, required: true },
-    email: { type: String, required: true },
-    phone: { type: String, required: true },
+    fullName: { type: String, required: requiredUnlessDraft },
+    email: { type: String, required: requiredUnlessDraft },
+    phone: { type: String, required: requiredUnlessDraft },
     dateOfBirth: Date,
     gender: String,
     pan: String,
@@ -43,67 +98,260 @@ const applicationSchema = new mongoose.Schema({
     }
   },
   employmentInfo: {
-    employmentType: { type: String, required: true },
+    employmentType: { type: String, required: requiredUnlessDraft },
     companyName: String,
     designation: String,
     workExperience: Number, // in years
-    monthlyIncome: { type: Number, required: true },
+    monthlyIncome: { type: Number, required: requiredUnlessDraft },
     businessType: String, // for self-employed
     businessAge: Number // in years
   },
+  // Account the loan is disbursed to
+  bankDetails: {
+    accountHolderName: String,
+    accountNumber: String,
+    ifsc: String,
+    bankName: String
+  },
   loanDetails: {
-    loanAmount: { type: Number, required: true },
-    loanTenure: { type: Number, required: true }, // in months
+    loanAmount: { type: Number, required: requiredUnlessDraft },
+    loanTenure: { type: Number, required: requiredUnlessDraft }, // in months
     purpose: String,
     interestRate: Number,
-    emi: Number
+    emi: Number,
+    processingFee: Number
   },
+  // What the applicant asked for, kept when an accepted offer replaces loanDetails
+  requestedLoanDetails: {
+    loanAmount: Number,
+    loanTenure: Number,
+    interestRate: Number,
+    emi: Number,
+    processingFee: Number
+  },
+  offers: [offerSchema],
   documents: [{
     type: { type: String, required: true }, // 'ID', 'Address', 'Income', 'Bank Statement', etc.
     name: { type: String, required: true },
-    url: { type: String, required: true },
+    url: String, // legacy public /uploads path; new files live in private storage
+    storageDriver: String,
+    storageKey: String,
+    mimeType: String,
+    size: Number,
+    sha256: { type: String, index: true },
     uploadedAt: { type: Date, default: Date.now },
-    status: { type: String, enum: ['Pending', 'Verified', 'Rejected'], default: 'Pending' }
+    status: { type: String, enum: ['Pending', 'Verified', 'Rejected'], default: 'Pending' },
+    rejectionReason: String,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    // Files replaced after a rejection, kept for the audit trail
+    previousVersions: [{
+      name: String,
+      url: String,
+      storageDriver: String,
+      storageKey: String,
+      uploadedAt: Date,
+      rejectionReason: String,
+      sha256: String,
+      replacedAt: { type: Date, default: Date.now }
+    }]
+  }],
+  // Sanction letters and loan agreements rendered on approval (latest of each kind is current)
+  generatedDocuments: [{
+    kind: { type: String, enum: ['sanctionLetter', 'loanAgreement'], required: true },
+    name: { type: String, required: true },
+    storageDriver: String,
+    storageKey: { type: String, required: true },
+    mimeType: String,
+    size: Number,
+    templateVersion: Number,
+    sha256: String,
+    generatedAt: { type: Date, default: Date.now }
   }],
+  // Applicant's OTP-signed acceptance of the sanction letter and loan agreement
+  termsAcceptance: {
+    acceptedAt: Date,
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    termsHash: String, // sha256 over the accepted documents' hashes
+    documents: [{
+      _id: false,
+      documentId: mongoose.Schema.Types.ObjectId,
+      kind: String,
+      sha256: String,
+      templateVersion: Number
+    }],
+    otpId: { type: mongoose.Schema.Types.ObjectId, ref: 'OTP' },
+    otpSentTo: String,
+    otpVerifiedAt: Date,
+    ip: String,
+    forwardedFor: String,
+    userAgent: String
+  },
   status: {
     type: String,
-    enum: ['Draft', 'Submitted', 'Under Review', 'Documents Pending', 'Approved', 'Rejected'],
+    enum: ['Draft', 'Submitted', 'Under Review', 'Documents Pending', 'Offered', 'Approved', 'Rejected', 'Withdrawn'],
     default: 'Draft'
   },
+  statusHistory: [{
+    from: String,
+    to: { type: String, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    changedAt: { type: Date, default: Date.now }
+  }],
   adminNotes: [{
     note: String,
     addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     addedAt: { type: Date, default: Date.now }
   }],
   rejectionReason: String,
+  withdrawalReason: String,
   approvedAt: Date,
   rejectedAt: Date,
+  withdrawnAt: Date,
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  loanAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoanAccount'
+  },
   applicationNumber: {
     type: String,
-    unique: true
+    unique: true,
+    sparse: true // drafts have no number yet
   },
   dynamicFields: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
     default: {}
-  }
+  },
+  // Normalized copies of personalInfo used for duplicate detection (set on save)
+  identity: {
+    pan: { type: String, index: true },
+    aadhaar: { type: String, index: true },
+    phone: { type: String, index: true },
+    email: { type: String, index: true }
+  },
+  // Risk screening results are admin-only; select them with RISK_FIELDS
+  riskFlags: { type: [riskFlagSchema], select: false },
+  riskLevel: {
+    type: String,
+    enum: RISK_LEVELS,
+    default: 'none',
+    index: true,
+    select: false
+  },
+  riskCheckedAt: { type: Date, select: false }
 }, {
   timestamps: true
 });
 
-// Generate application number before saving
-applicationSchema.pre('save', async function(next) {
-  if (!this.applicationNumber && this.status !== 'Draft') {
-    const count = await mongoose.model('Application').countDocuments();
-    this.applicationNumber = `APP${String(count + 1).padStart(6, '0')}`;
+// Remember the status as loaded from the database so illegal saves can be detected
+applicationSchema.post('init', function() {
+  this.$locals.loadedStatus = this.status;
+});
+
+applicationSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move to a new status and record the move in statusHistory.
+// Throws an error with statusCode 409 if the move is not allowed.
+applicationSchema.methods.transitionTo = function(status, { changedBy, reason } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change application status from '${this.status}' to '${status}'`);
+    error.statusCode = 409;
+    throw error;
+  }
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy,
+    reason,
+    changedAt: new Date()
+  });
+  this.status = status;
+  return this;
+};
+
+// Current generated document of a kind ('sanctionLetter' or 'loanAgreement')
+applicationSchema.methods.latestGeneratedDocument = function(kind) {
+  const documents = this.generatedDocuments.filter(d => d.kind === kind);
+  return documents[documents.length - 1] || null;
+};
+
+// The offer waiting for the applicant's response, if any
+applicationSchema.methods.pendingOffer = function() {
+  return this.offers.find(offer => offer.status === 'Pending') || null;
+};
+
+// Expire a pending offer past its expiry date and send the application back to Under
+// Review. Returns true if anything changed.
+applicationSchema.methods.expireOffers = function(asOf = new Date()) {
+  const offer = this.pendingOffer();
+  if (!offer || offer.expiresAt > asOf) return false;
+  offer.status = 'Expired';
+  if (this.status === 'Offered') {
+    this.transitionTo('Under Review', { reason: 'Offer expired' });
   }
+  return true;
+};
+
+applicationSchema.pre('validate', function(next) {
+  const from = this.$locals.loadedStatus;
+  if (!this.isNew && from && this.isModified('status') && from !== this.status &&
+      !(STATUS_TRANSITIONS[from] || []).includes(this.status)) {
+    const error = new Error(`Cannot change application status from '${from}' to '${this.status}'`);
+    error.statusCode = 409;
+    return next(error);
+  }
+  next();
+});
+
+applyKycFields(applicationSchema, {
+  'personalInfo.phone': 'mobile',
+  'personalInfo.pan': 'pan',
+  'personalInfo.aadhar': 'aadhaar',
+  'address.current.pincode': 'pincode',
+  'address.permanent.pincode': 'pincode',
+  'bankDetails.ifsc': 'ifsc'
+});
+
+// Refresh the normalized identity used for duplicate detection from personalInfo
+applicationSchema.methods.refreshIdentity = function() {
+  const info = this.personalInfo || {};
+  this.identity = {
+    pan: normalizePan(info.pan),
+    aadhaar: normalizeAadhaar(info.aadhar),
+    phone: normalizePhone(info.phone),
+    email: normalizeEmail(info.email)
+  };
+  return this.identity;
+};
+
+applicationSchema.pre('validate', function(next) {
+  this.refreshIdentity();
   next();
 });
 
+applicationSchema.post('save', function() {
+  this.$locals.loadedStatus = this.status;
+});
+
+// Assign the next application number from the atomic counter once the application leaves Draft
+applicationSchema.pre('save', async function(next) {
+  try {
+    if (!this.applicationNumber && this.status !== 'Draft') {
+      this.applicationNumber = await nextApplicationNumber(this);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default mongoose.model('Application', applicationSchema);
 
 
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Named sequences incremented atomically (e.g. application numbers per category/financial year)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically increment and return the next value of a sequence
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return counter.seq;
+};
+
+// Move a sequence forward to at least `value` (never backwards)
+counterSchema.statics.seed = function(key, value) {
+  return this.updateOne({ _id: key }, { $max: { seq: value } }, { upsert: true });
+};
+
+export default mongoose.model('Counter', counterSchema);
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+export const TEMPLATE_KINDS = ['sanctionLetter', 'loanAgreement'];
+
+// Admin-editable text for generated loan documents. The body is plain text with
+// {{placeholder}} tokens; a line containing only {{repaymentSchedule}} is replaced by the
+// schedule table. Every edit bumps the version recorded on the generated files.
+const documentTemplateSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: TEMPLATE_KINDS,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('DocumentTemplate', documentTemplateSchema);
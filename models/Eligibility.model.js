@@ -1,4 +1,24 @@
 import mongoose from 'mongoose';
+import { DECISION_OUTCOMES } from '../utils/creditDecision.js';
+import { normalizePan, normalizeEmail } from '../utils/identity.js';
+import { riskFlagSchema, RISK_LEVELS } from './riskFlag.schema.js';
+import { applyKycFields } from '../utils/kyc.js';
+
+// One evaluated rule in the decision trace
+const decisionCheckSchema = new mongoose.Schema({
+  rule: { type: String, required: true },
+  fact: String, // set for rule set rules
+  passed: Boolean, // null when the rule was skipped
+  outcome: {
+    type: String,
+    enum: ['pass', 'reject', 'refer', 'approve', 'skipped']
+  },
+  reasonCode: String,
+  expected: mongoose.Schema.Types.Mixed,
+  actual: mongoose.Schema.Types.Mixed,
+  maxAmount: Number,
+  message: String
+}, { _id: false });
 
 const eligibilitySchema = new mongoose.Schema({
   name: {
@@ -17,12 +37,24 @@ const eligibilitySchema = new mongoose.Schema({
     ref: 'Loan',
     required: false // Optional if user hasn't selected a loan yet
   },
+  // Account that owns the record: set when submitted while signed in, or when an anonymous
+  // submission is claimed by proving access to its email address
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  claimedAt: Date,
+  // Draft application started from this check (POST /:id/start-application)
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
   pancard: {
     type: String,
     required: true,
     uppercase: true,
-    trim: true,
-    maxlength: 10
+    trim: true
   },
   dob: {
     type: Date,
@@ -65,13 +97,16 @@ const eligibilitySchema = new mongoose.Schema({
   pinCode: {
     type: String,
     required: true,
-    trim: true,
-    match: /^\d{6}$/
+    trim: true
   },
   state: {
     type: String,
     trim: true
   },
+  district: {
+    type: String,
+    trim: true
+  },
   city: {
     type: String,
     trim: true
@@ -84,14 +119,91 @@ const eligibilitySchema = new mongoose.Schema({
   rejectionReason: {
     type: String,
     trim: true
-  }
+  },
+  // Set on rejection from AdminSettings.eligibilityReapplyDays
+  reapplyAfter: Date,
+  // When the applicant was emailed about an admin decision
+  decisionEmailSentAt: Date,
+  // Machine-readable reason for an automated rejection (e.g. INCOME_BELOW_MIN)
+  rejectionCode: {
+    type: String,
+    trim: true
+  },
+  // Credit decision engine result and the trace of checks behind it
+  decision: {
+    outcome: {
+      type: String,
+      enum: DECISION_OUTCOMES
+    },
+    reasonCodes: [String],
+    maxAmount: Number, // cap from approve rules, if any
+    source: {
+      type: String,
+      enum: ['engine', 'admin'],
+      default: 'engine'
+    },
+    evaluatedAt: Date,
+    // Set when an admin approves or rejects; engineOutcome keeps what the rules decided
+    engineOutcome: {
+      type: String,
+      enum: DECISION_OUTCOMES
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    criteria: mongoose.Schema.Types.Mixed, // snapshot of the loan criteria applied
+    // Rule set version applied, if the loan or its category had an active one
+    ruleSet: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'EligibilityRuleSet' },
+      name: String,
+      version: Number,
+      scope: { type: String, enum: ['loan', 'category'] }
+    },
+    checks: [decisionCheckSchema]
+  },
+  // Normalized copies used for duplicate detection (set on save)
+  identity: {
+    pan: { type: String, index: true },
+    email: { type: String, index: true }
+  },
+  // Risk screening results are admin-only; select them with RISK_FIELDS
+  riskFlags: { type: [riskFlagSchema], select: false },
+  riskLevel: {
+    type: String,
+    enum: RISK_LEVELS,
+    default: 'none',
+    select: false
+  },
+  riskCheckedAt: { type: Date, select: false }
 }, {
   timestamps: true
 });
 
+applyKycFields(eligibilitySchema, {
+  pancard: 'pan',
+  pinCode: 'pincode'
+});
+
+// Refresh the normalized identity used for duplicate detection
+eligibilitySchema.methods.refreshIdentity = function() {
+  this.identity = {
+    pan: normalizePan(this.pancard),
+    email: normalizeEmail(this.email)
+  };
+  return this.identity;
+};
+
+eligibilitySchema.pre('validate', function(next) {
+  this.refreshIdentity();
+  next();
+});
+
 // Index for efficient queries
 eligibilitySchema.index({ email: 1, createdAt: -1 });
 eligibilitySchema.index({ loanId: 1, createdAt: -1 });
+eligibilitySchema.index({ status: 1, 'decision.outcome': 1 });
 
 export default mongoose.model('Eligibility', eligibilitySchema);
 
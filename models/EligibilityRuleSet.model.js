@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import { RULE_FACTS, RULE_OPERATORS, RULE_OUTCOMES } from '../utils/creditDecision.js';
+
+// A rule fires when `fact operator value` holds, e.g. { fact: 'ageAtMaturity', operator: 'gt',
+// value: 60, outcome: 'reject' } or { fact: 'companyTier', operator: 'eq', value: 1,
+// outcome: 'approve', maxAmount: 200000 } (approve, but cap the amount).
+const ruleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  fact: {
+    type: String,
+    enum: RULE_FACTS,
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: RULE_OPERATORS,
+    required: true
+  },
+  value: mongoose.Schema.Types.Mixed, // not used by exists / missing
+  outcome: {
+    type: String,
+    enum: RULE_OUTCOMES,
+    required: true
+  },
+  maxAmount: {
+    type: Number,
+    min: 0,
+    required: function() { return this.outcome === 'approve'; }
+  },
+  reasonCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  message: {
+    type: String,
+    trim: true
+  }
+});
+
+// Versioned credit policy for a loan or a loan category. Each version is its own document;
+// only drafts can be edited, and activating a version archives the previously active one.
+const eligibilityRuleSetSchema = new mongoose.Schema({
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: function() { return !this.categoryId; },
+    index: true
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoanCategory',
+    required: function() { return !this.loanId; },
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'archived'],
+    default: 'draft'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Employer tiers used by the companyTier fact (1 = best). Unlisted companies have no tier.
+  companyTiers: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    tier: { type: Number, required: true, min: 1 }
+  }],
+  rules: [ruleSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: Date,
+  archivedAt: Date
+}, {
+  timestamps: true
+});
+
+// Validation: Either loanId or categoryId must be provided
+eligibilityRuleSetSchema.pre('validate', function(next) {
+  if (!this.loanId && !this.categoryId) {
+    return next(new Error('Either loanId or categoryId must be provided'));
+  }
+  if (this.loanId && this.categoryId) {
+    return next(new Error('Cannot specify both loanId and categoryId'));
+  }
+  next();
+});
+
+eligibilityRuleSetSchema.index({ loanId: 1, version: -1 }, { unique: true, partialFilterExpression: { loanId: { $exists: true } } });
+eligibilityRuleSetSchema.index({ categoryId: 1, version: -1 }, { unique: true, partialFilterExpression: { categoryId: { $exists: true } } });
+eligibilityRuleSetSchema.index({ loanId: 1, status: 1 });
+eligibilityRuleSetSchema.index({ categoryId: 1, status: 1 });
+
+// Scope filter shared by every version of this rule set
+eligibilityRuleSetSchema.methods.scope = function() {
+  return this.loanId ? { loanId: this.loanId } : { categoryId: this.categoryId };
+};
+
+// Active rule set for a loan: one scoped to the loan itself wins over its category's
+eligibilityRuleSetSchema.statics.findActiveForLoan = async function(loan) {
+  if (!loan) return null;
+  const own = await this.findOne({ loanId: loan._id, status: 'active' });
+  if (own || !loan.category) return own;
+  return this.findOne({ categoryId: loan.category._id || loan.category, status: 'active' });
+};
+
+export default mongoose.model('EligibilityRuleSet', eligibilityRuleSetSchema);
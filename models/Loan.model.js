@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { calculateEmi } from '../utils/loanMath.js';
 
 const safeNum = v => {
   if (v === '' || v === null || v === undefined || v === 'NaN') return undefined;
@@ -41,6 +42,9 @@ const loanSchema = new mongoose.Schema({
     minIncome: { type: Number, default: 25000 },
     minCreditScore: { type: Number, default: 600 },
     employmentType: [String], // ['Salaried', 'Self-Employed', 'Business']
+    // With neither pincodes nor districts the loan is serviceable everywhere
+    serviceablePincodes: [String],
+    serviceableDistricts: [String],
     otherCriteria: [String]
   },
   requiredDocuments: [{
@@ -58,6 +62,11 @@ const loanSchema = new mongoose.Schema({
     max: { type: Number, required: true },
     default: { type: Number, required: true }
   },
+  processingFee: {
+    type: Number, // percentage of the loan amount
+    default: 0,
+    min: 0
+  },
   minLoanAmount: {
     type: Number,
     required: true
@@ -122,13 +131,9 @@ loanSchema.pre('validate', function(next) {
   });
 
   // Compute EMI only if absent and inputs valid
-  if (ld.emi == null && ld.principal && ld.annualRate && ld.tenureMonths) {
-    const P = ld.principal, r = (ld.annualRate / 12) / 100, n = ld.tenureMonths;
-    if (P > 0 && r > 0 && n > 0) {
-      const pow = Math.pow(1 + r, n);
-      const emi = P * r * pow / (pow - 1);
-      if (Number.isFinite(emi)) ld.emi = Number(emi.toFixed(2));
-    }
+  if (ld.emi == null && ld.principal > 0 && ld.annualRate > 0 && ld.tenureMonths > 0) {
+    const emi = calculateEmi(ld.principal, ld.annualRate, ld.tenureMonths);
+    if (Number.isFinite(emi)) ld.emi = emi;
   }
 
   // Do not error if emi still undefined
@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import { buildAmortizationSchedule, roundMoney } from '../utils/loanMath.js';
+
+export const PAYMENT_METHODS = ['Cash', 'Bank Transfer', 'UPI'];
+
+// Flat late fee charged once when an installment becomes overdue
+const lateFeeAmount = () => {
+  const fee = Number(process.env.LATE_FEE_AMOUNT);
+  return Number.isFinite(fee) && fee >= 0 ? fee : 500;
+};
+
+const installmentSchema = new mongoose.Schema({
+  installmentNumber: { type: Number, required: true },
+  dueDate: { type: Date, required: true },
+  openingBalance: Number,
+  principal: { type: Number, required: true },
+  interest: { type: Number, required: true },
+  amount: { type: Number, required: true },
+  closingBalance: Number,
+  penalty: { type: Number, default: 0 },
+  principalPaid: { type: Number, default: 0 },
+  interestPaid: { type: Number, default: 0 },
+  penaltyPaid: { type: Number, default: 0 },
+  paidAmount: { type: Number, default: 0 },
+  paidAt: Date,
+  status: {
+    type: String,
+    enum: ['Due', 'Paid', 'Partially Paid', 'Overdue'],
+    default: 'Due'
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  amount: { type: Number, required: true },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true
+  },
+  reference: { type: String, trim: true },
+  paidAt: { type: Date, required: true },
+  allocation: {
+    principal: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    penalty: { type: Number, default: 0 },
+    prepayment: { type: Number, default: 0 } // part of principal paid ahead of schedule
+  },
+  installments: [{
+    _id: false,
+    installmentNumber: Number,
+    principal: Number,
+    interest: Number,
+    penalty: Number
+  }],
+  principalOutstandingAfter: Number,
+  remarks: String,
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  recordedAt: { type: Date, default: Date.now }
+});
+
+const loanAccountSchema = new mongoose.Schema({
+  accountNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  principal: { type: Number, required: true },
+  interestRate: { type: Number, required: true }, // annual percentage
+  tenure: { type: Number, required: true }, // in months
+  emi: { type: Number, required: true },
+  disbursement: {
+    amount: { type: Number, required: true },
+    date: { type: Date, required: true },
+    reference: { type: String, required: true, trim: true },
+    mode: { type: String, default: 'Bank Transfer' },
+    disbursedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  installments: [installmentSchema],
+  payments: [paymentSchema],
+  status: {
+    type: String,
+    enum: ['Active', 'Closed'],
+    default: 'Active'
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+const installmentDue = (i) => roundMoney(i.amount + (i.penalty || 0) - (i.paidAmount || 0));
+
+// Derive an installment's status from what has been paid and its due date
+const installmentStatus = (installment, asOf) => {
+  if (installmentDue(installment) <= 0) return 'Paid';
+  if (new Date(installment.dueDate) < asOf) return 'Overdue';
+  if ((installment.paidAmount || 0) > 0) return 'Partially Paid';
+  return 'Due';
+};
+
+// Recompute installment and account statuses, charging the late fee on installments
+// that have just become overdue. Returns true if anything changed.
+loanAccountSchema.methods.refreshStatuses = function(asOf = new Date()) {
+  let changed = false;
+  this.installments.forEach(installment => {
+    const status = installmentStatus(installment, asOf);
+    if (status === 'Overdue' && !installment.penalty) {
+      installment.penalty = lateFeeAmount();
+    }
+    if (installment.status !== status) {
+      installment.status = status;
+      changed = true;
+    }
+  });
+
+  const allPaid = this.installments.length > 0 && this.installments.every(i => i.status === 'Paid');
+  if (allPaid && this.status !== 'Closed') {
+    this.status = 'Closed';
+    this.closedAt = asOf;
+    changed = true;
+  }
+  return changed;
+};
+
+// Apply a payment to the installments that are due (plus the next upcoming one), in the
+// order penalty -> interest -> principal. Anything left over is a principal prepayment:
+// the untouched future installments are rebuilt on the reduced balance with the same EMI,
+// which shortens the tenure. Throws an error with statusCode 400 if the payment is more
+// than the account owes.
+loanAccountSchema.methods.applyPayment = function({ amount, method, reference, paidAt = new Date(), remarks, recordedBy }) {
+  this.refreshStatuses(paidAt);
+
+  let remaining = roundMoney(amount);
+  const allocation = { principal: 0, interest: 0, penalty: 0, prepayment: 0 };
+  const touched = [];
+  let lastTouchedIndex = -1;
+  let upcomingTaken = false;
+
+  for (let idx = 0; idx < this.installments.length && remaining > 0; idx++) {
+    const installment = this.installments[idx];
+    if (installment.status === 'Paid') continue;
+    if (new Date(installment.dueDate) > paidAt) {
+      if (upcomingTaken) break;
+      upcomingTaken = true;
+    }
+
+    const split = { installmentNumber: installment.installmentNumber, principal: 0, interest: 0, penalty: 0 };
+    [['penalty', 'penaltyPaid'], ['interest', 'interestPaid'], ['principal', 'principalPaid']].forEach(([part, paidField]) => {
+      const owed = roundMoney((installment[part] || 0) - (installment[paidField] || 0));
+      const pay = Math.min(owed, remaining);
+      if (pay > 0) {
+        installment[paidField] = roundMoney((installment[paidField] || 0) + pay);
+        split[part] = roundMoney(pay);
+        allocation[part] = roundMoney(allocation[part] + pay);
+        remaining = roundMoney(remaining - pay);
+      }
+    });
+
+    installment.paidAmount = roundMoney(installment.principalPaid + installment.interestPaid + installment.penaltyPaid);
+    installment.paidAt = paidAt;
+    touched.push(split);
+    lastTouchedIndex = idx;
+  }
+
+  if (remaining > 0) {
+    const future = this.installments.slice(lastTouchedIndex + 1).filter(i => !i.paidAmount);
+    const futurePrincipal = roundMoney(future.reduce((sum, i) => sum + i.principal, 0));
+    if (remaining > futurePrincipal) {
+      const error = new Error(`Payment exceeds the amount owed by ${roundMoney(remaining - futurePrincipal)}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    allocation.prepayment = remaining;
+    allocation.principal = roundMoney(allocation.principal + remaining);
+    const keep = this.installments.slice(0, this.installments.length - future.length);
+    const firstDueDate = future[0]?.dueDate;
+    const rebuilt = buildAmortizationSchedule({
+      principal: roundMoney(futurePrincipal - remaining),
+      annualRate: this.interestRate,
+      tenureMonths: future.length,
+      emi: this.emi,
+      firstDueDate
+    }).map(i => ({ ...i, installmentNumber: keep.length + i.installmentNumber }));
+    this.installments = [...keep.map(i => i.toObject()), ...rebuilt];
+    remaining = 0;
+  }
+
+  this.refreshStatuses(paidAt);
+  this.payments.push({
+    amount: roundMoney(amount),
+    method,
+    reference,
+    paidAt,
+    allocation,
+    installments: touched,
+    principalOutstandingAfter: this.summary.principalOutstanding,
+    remarks,
+    recordedBy
+  });
+  return this.payments[this.payments.length - 1];
+};
+
+loanAccountSchema.virtual('summary').get(function() {
+  const sum = (field) => roundMoney(this.installments.reduce((total, i) => total + (i[field] || 0), 0));
+  const unpaid = this.installments.filter(i => i.status !== 'Paid');
+  const next = unpaid[0];
+  const overdue = unpaid.filter(i => i.status === 'Overdue');
+  const prepaid = roundMoney(this.payments.reduce((total, p) => total + (p.allocation?.prepayment || 0), 0));
+
+  return {
+    principalOutstanding: roundMoney(sum('principal') - sum('principalPaid')),
+    principalPaid: roundMoney(sum('principalPaid') + prepaid),
+    interestPaid: sum('interestPaid'),
+    penaltyPaid: sum('penaltyPaid'),
+    totalPaid: roundMoney(this.payments.reduce((total, p) => total + p.amount, 0)),
+    totalOutstanding: roundMoney(unpaid.reduce((total, i) => total + installmentDue(i), 0)),
+    overdueInstallments: overdue.length,
+    overdueAmount: roundMoney(overdue.reduce((total, i) => total + installmentDue(i), 0)),
+    nextDueDate: next ? next.dueDate : null,
+    nextDueAmount: next ? installmentDue(next) : 0
+  };
+});
+
+loanAccountSchema.set('toJSON', { virtuals: true });
+loanAccountSchema.set('toObject', { virtuals: true });
+
+export default mongoose.model('LoanAccount', loanAccountSchema);
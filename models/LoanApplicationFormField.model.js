@@ -20,7 +20,7 @@ const loanApplicationFormFieldSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['Text', 'Number', 'Email', 'Phone', 'Date', 'Textarea', 'Select', 'Checkbox', 'Radio', 'File'],
+    enum: ['Text', 'Number', 'Email', 'Phone', 'PAN', 'Aadhaar', 'IFSC', 'Pincode', 'Date', 'Textarea', 'Select', 'Checkbox', 'Radio', 'File'],
     default: 'Text',
     required: true
   },
@@ -4,6 +4,7 @@ import slugify from 'slugify';
 const LoanCategorySchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true, trim: true, maxlength: 100 },
   slug: { type: String, required: true, unique: true, lowercase: true, index: true },
+  code: { type: String, uppercase: true, trim: true, maxlength: 10 }, // short code used in application numbers, e.g. PL
   description: { type: String, maxlength: 500 },
   image: { type: String }, // URL or path to the category image
   active: { type: Boolean, default: true }
@@ -1,5 +1,16 @@
 import mongoose from 'mongoose';
 
+// Outcome of sending the code, as reported by sendOTPSMS (utils/sms.js)
+export const otpDeliverySchema = new mongoose.Schema({
+  channel: { type: String, enum: ['sms', 'email'] },
+  provider: String,
+  templateId: String, // DLT template the SMS was sent under
+  status: { type: String, enum: ['sent', 'queued', 'failed'] },
+  messageId: String,
+  error: String,
+  attemptedAt: Date
+}, { _id: false });
+
 const otpSchema = new mongoose.Schema({
   phone: {
     type: String,
@@ -26,7 +37,29 @@ const otpSchema = new mongoose.Schema({
   verified: {
     type: Boolean,
     default: false
-  }
+  },
+  // Set when the OTP authorizes a specific action (e.g. accepting loan terms) rather than
+  // plain contact verification. Such OTPs can only be used by that action.
+  action: {
+    type: String,
+    enum: ['accept_terms', 'claim_eligibility']
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  termsHash: String, // hash of the terms the OTP was requested for
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  verifiedAt: Date,
+  delivery: otpDeliverySchema
 }, {
   timestamps: true
 });
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Pincode directory (India Post), one record per pincode with the post offices it covers.
+// Loaded with scripts/importPincodes.js.
+const pincodeSchema = new mongoose.Schema({
+  pincode: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^[1-9]\d{5}$/
+  },
+  areas: [String], // post office names
+  city: String,
+  district: {
+    type: String,
+    required: true,
+    index: true
+  },
+  state: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Pincode', pincodeSchema);
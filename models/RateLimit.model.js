@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Fixed-window request counters shared by every server instance (see utils/rateLimit.js)
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // Auto-delete finished windows
+  }
+});
+
+export default mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. Access tokens carry the session id and stop working as soon as the
+// session is revoked; the refresh token (stored here only as a hash) rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated away. Presenting one of these means the token
+  // was copied, so the whole session is revoked.
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // Auto-delete expired sessions
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'password_reset', 'token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { applyKycFields } from '../utils/kyc.js';
+import { otpDeliverySchema } from './OTP.model.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,7 +23,7 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please provide a password'],
+    // Required by /register; accounts created through Firebase or OTP login have none
     minlength: 6,
     select: false
   },
@@ -41,6 +43,12 @@ const userSchema = new mongoose.Schema({
     pincode: String,
     country: { type: String, default: 'India' }
   },
+  // Firebase Authentication uid; set on first Firebase sign-in or by linking an existing account
+  firebaseUid: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   isVerified: {
     email: { type: Boolean, default: false },
     phone: { type: Boolean, default: false }
@@ -48,7 +56,19 @@ const userSchema = new mongoose.Schema({
   otp: {
     code: String,
     expiresAt: Date,
-    purpose: String // 'email', 'phone', 'login'
+    purpose: String, // 'email', 'phone', 'login'
+    attempts: Number, // wrong codes entered; the OTP is cleared after OTP_MAX_ATTEMPTS
+    delivery: otpDeliverySchema
+  },
+  // Consecutive wrong passwords; reaching LOGIN_MAX_FAILURES locks logins until lockUntil
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
   },
   role: {
     type: String,
@@ -63,6 +83,14 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Phone is stored as +91XXXXXXXXXX, so lookups by phone match however it was typed
+applyKycFields(userSchema, {
+  phone: 'mobile',
+  pan: 'pan',
+  aadhar: 'aadhaar',
+  'address.pincode': 'pincode'
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -72,6 +100,7 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+export const RISK_FLAG_TYPES = [
+  'duplicate_pan',
+  'duplicate_aadhaar',
+  'duplicate_phone',
+  'duplicate_email',
+  'duplicate_document',
+  'pan_velocity'
+];
+
+export const RISK_LEVELS = ['none', 'low', 'medium', 'high'];
+
+// Risk fields are hidden by default so applicants never see them
+export const RISK_FIELDS = '+riskFlags +riskLevel +riskCheckedAt';
+
+// A possible duplicate or fraud signal, with the other records that triggered it.
+// Shared by Application and Eligibility.
+export const riskFlagSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: RISK_FLAG_TYPES,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    required: true
+  },
+  message: String,
+  matches: [{
+    _id: false,
+    model: { type: String, enum: ['Application', 'Eligibility'] },
+    id: mongoose.Schema.Types.ObjectId,
+    userId: mongoose.Schema.Types.ObjectId,
+    reference: String // application number or applicant email
+  }],
+  detectedAt: { type: Date, default: Date.now }
+}, { _id: false });
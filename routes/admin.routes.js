@@ -1,7 +1,9 @@
 import express from 'express';
 import User from '../models/User.model.js';
 import Loan from '../models/Loan.model.js';
-import Application from '../models/Application.model.js';
+import Application, { PENDING_STATUSES } from '../models/Application.model.js';
+import { RISK_FIELDS } from '../models/riskFlag.schema.js';
+import { ELIGIBILITY_EMAIL_PLACEHOLDERS, DEFAULT_ELIGIBILITY_EMAILS } from '../utils/eligibilityEmails.js';
 import AdminSettings from '../models/AdminSettings.model.js';
 import HomeLoanCard from '../models/HomeLoanCard.model.js';
 import HomeInfoCard from '../models/HomeInfoCard.model.js';
@@ -53,9 +55,11 @@ router.get('/dashboard', async (req, res) => {
   try {
     const totalUsers = await User.countDocuments({ role: 'user' });
     const totalApplications = await Application.countDocuments();
-    const pendingApplications = await Application.countDocuments({ status: { $in: ['Submitted', 'Under Review'] } });
+    const pendingApplications = await Application.countDocuments({ status: { $in: PENDING_STATUSES } });
     const approvedApplications = await Application.countDocuments({ status: 'Approved' });
     const rejectedApplications = await Application.countDocuments({ status: 'Rejected' });
+    const withdrawnApplications = await Application.countDocuments({ status: 'Withdrawn' });
+    const flaggedApplications = await Application.countDocuments({ riskLevel: { $ne: 'none' } });
     const totalLoans = await Loan.countDocuments({ isActive: true });
 
     // Recent applications
@@ -85,6 +89,8 @@ router.get('/dashboard', async (req, res) => {
           pendingApplications,
           approvedApplications,
           rejectedApplications,
+          withdrawnApplications,
+          flaggedApplications,
           totalLoans
         },
         recentApplications,
@@ -126,7 +132,7 @@ router.get('/users', async (req, res) => {
 // @access  Private/Admin
 router.get('/applications', async (req, res) => {
   try {
-    const { status, loanType } = req.query;
+    const { status, loanType, risk, flagged } = req.query;
     let query = {};
 
     if (status) {
@@ -135,8 +141,15 @@ router.get('/applications', async (req, res) => {
     if (loanType) {
       query.loanType = loanType;
     }
+    // ?risk=high for one level, ?flagged=true for anything with a risk flag
+    if (risk) {
+      query.riskLevel = risk;
+    } else if (flagged === 'true') {
+      query.riskLevel = { $ne: 'none' };
+    }
 
     const applications = await Application.find(query)
+      .select(RISK_FIELDS)
       .populate('userId', 'name email phone')
       .populate('loanId', 'name type')
       .populate('approvedBy', 'name')
@@ -280,6 +293,32 @@ router.put('/settings', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/email-templates/eligibility
+// @desc    Eligibility decision email templates: the saved ones (settings.emailTemplates),
+//          the built-in defaults and the placeholders they can use
+// @access  Private/Admin
+router.get('/email-templates/eligibility', async (req, res) => {
+  try {
+    const settings = await AdminSettings.findOne().sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      data: {
+        templates: {
+          eligibilityApproved: settings?.emailTemplates?.eligibilityApproved || {},
+          eligibilityRejected: settings?.emailTemplates?.eligibilityRejected || {}
+        },
+        defaults: DEFAULT_ELIGIBILITY_EMAILS,
+        placeholders: ELIGIBILITY_EMAIL_PLACEHOLDERS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // @route   PUT /api/admin/users/:id
 // @desc    Update user (activate/deactivate)
 // @access  Private/Admin
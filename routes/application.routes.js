@@ -1,49 +1,140 @@
 import express from 'express';
-import Application from '../models/Application.model.js';
-import { protect } from '../middleware/auth.middleware.js';
-import { uploadMultiple, uploadAny } from '../utils/upload.js';
-import { sendEmail } from '../utils/sendEmail.js';
+import Application, { STATUS_TRANSITIONS } from '../models/Application.model.js';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { documentUpload, uploadDocuments } from '../utils/upload.js';
+import { storeDocument, signDocumentUrl } from '../utils/documentStorage.js';
+import { sendEmail, sendOTPEmail, escapeHtml } from '../utils/sendEmail.js';
+import { notifyAdmins } from '../utils/notifyAdmins.js';
+import { screenForRisks, withoutRiskDetails } from '../utils/riskChecks.js';
+import { RISK_FIELDS } from '../models/riskFlag.schema.js';
 import mongoose from 'mongoose';
 import Loan from '../models/Loan.model.js';
+import { quoteLoan } from '../utils/loanMath.js';
+import { checkServiceability } from '../utils/serviceability.js';
+import { REASON_MESSAGES } from '../utils/creditDecision.js';
+import { generateLoanDocuments, currentTerms } from '../utils/loanDocuments.js';
+import OTP from '../models/OTP.model.js';
+import { generateOTP } from '../utils/generateToken.js';
+import { otpSendLimit, otpVerifyLimit } from '../utils/rateLimit.js';
+import { TEMPLATE_KINDS } from '../models/DocumentTemplate.model.js';
+import LoanApplicationFormField from '../models/LoanApplicationFormField.model.js';
+import AdminSettings from '../models/AdminSettings.model.js';
+import {
+  APPLICATION_SECTIONS,
+  parseJsonSections,
+  buildDocuments,
+  validatePersonalInfo,
+  validateAddress,
+  validateEmploymentInfo,
+  validateBankDetails,
+  validateLoanDetails,
+  validateDynamicFields,
+  validateForSubmission
+} from '../utils/applicationSections.js';
 
 const router = express.Router();
 
+// Confirmation email sent once an application is submitted
+async function sendSubmittedEmail(application, loan) {
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width:600px;margin:0 auto;padding:20px;">
+      <h2 style="color:#333;">Loan Application Submitted</h2>
+      <p style="color:#666;">Dear ${application.personalInfo?.fullName || 'Applicant'},</p>
+      <p style="color:#666;">Your loan application has been submitted successfully.</p>
+      <p style="color:#666;"><strong>Application Number:</strong> ${application.applicationNumber}</p>
+      <p style="color:#666;"><strong>Loan Type:</strong> ${loan.type}</p>
+      <p style="color:#666;"><strong>Loan Amount:</strong> ₹${application.loanDetails.loanAmount.toLocaleString()}</p>
+      <p style="color:#666;">We will review your application and get back to you soon.</p>
+    </div>`;
+  return sendEmail({
+    to: application.personalInfo?.email,
+    subject: 'Loan Application Submitted',
+    html: emailHtml,
+    text: 'Your loan application has been submitted.'
+  });
+}
+
+// Admin-defined dynamic form fields that apply to a loan (its own and its category's)
+async function formFieldsForLoan(loan) {
+  if (!loan) return [];
+  const or = [{ loanId: loan._id }];
+  if (loan.category) or.push({ categoryId: loan.category });
+  return LoanApplicationFormField.find({ $or: or, isActive: true });
+}
+
+// Load a draft owned by the current user, or send the error response and return null
+async function loadOwnDraft(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: 'Application not found' });
+    return null;
+  }
+  const application = await Application.findById(req.params.id);
+  if (!application) {
+    res.status(404).json({ success: false, message: 'Application not found' });
+    return null;
+  }
+  if (application.userId.toString() !== req.user._id.toString()) {
+    res.status(403).json({ success: false, message: 'Not authorized to update this application' });
+    return null;
+  }
+  if (application.status !== 'Draft') {
+    res.status(409).json({ success: false, message: `Application is already ${application.status}` });
+    return null;
+  }
+  return application;
+}
+
+// Render the sanction letter and loan agreement for an approved application. A rendering
+// or storage failure must not undo the approval, so it is logged and no attachments are
+// returned; admins can regenerate the documents later.
+async function prepareLoanDocuments(application) {
+  try {
+    return await generateLoanDocuments(application);
+  } catch (error) {
+    console.error('Error generating loan documents:', error);
+    return [];
+  }
+}
+
+// Expire an outdated offer (Offered -> Under Review) before returning an application
+async function refreshOffers(application) {
+  if (application.expireOffers()) {
+    await application.save();
+  }
+  return application;
+}
+
+// Turn away applications from areas the loan isn't offered in, before any upload is stored.
+// Sends the 400 response and returns true when the current address is not serviceable.
+async function rejectUnserviceable(res, loan, address) {
+  const pincode = address?.current?.pincode;
+  const { serviceable } = await checkServiceability(loan, pincode);
+  if (serviceable) return false;
+
+  const message = pincode ? REASON_MESSAGES.PINCODE_NOT_SERVICEABLE : 'Current address pincode is required for this loan';
+  res.status(400).json({
+    success: false,
+    message,
+    code: 'PINCODE_NOT_SERVICEABLE',
+    errors: { 'address.current.pincode': message }
+  });
+  return true;
+}
+
+function validationFailed(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+  });
+}
+
 // @route   POST /api/applications
 // @desc    Create new loan application
 // @access  Private
-router.post('/', protect, uploadAny, async (req, res) => {
+router.post('/', protect, uploadDocuments, async (req, res) => {
   try {
-    // Organize files by field name
-    const files = {};
-    const dynamicFiles = {};
-    
-    if (req.files && Array.isArray(req.files)) {
-      req.files.forEach(file => {
-        if (file.fieldname.startsWith('dynamicFiles_')) {
-          // Dynamic file field
-          const fieldName = file.fieldname.replace('dynamicFiles_', '');
-          if (!dynamicFiles[fieldName]) {
-            dynamicFiles[fieldName] = [];
-          }
-          dynamicFiles[fieldName].push(file);
-        } else {
-          // Static document fields
-          if (!files[file.fieldname]) {
-            files[file.fieldname] = [];
-          }
-          files[file.fieldname].push(file);
-        }
-      });
-    }
-    
-    const applicationData = req.body;
-
-    // Parse JSON fields if they're strings
-    ['personalInfo','address','employmentInfo','loanDetails','dynamicFields'].forEach(f => {
-      if (typeof applicationData[f] === 'string') {
-        try { applicationData[f] = JSON.parse(applicationData[f]); } catch { /* ignore */ }
-      }
-    });
+    const applicationData = parseJsonSections(req.body);
     
     // Debug logging for loanDetails
     console.log('=== Application Creation Debug ===');
@@ -133,66 +224,22 @@ router.post('/', protect, uploadAny, async (req, res) => {
       });
     }
 
-    const annualRate = loan.interestRate?.default ?? loan.interestRate?.min ?? 0;
-    const monthlyRate = annualRate / 100 / 12;
-    const emi = monthlyRate > 0
-      ? Math.round(
-          (loanAmount * monthlyRate * Math.pow(1 + monthlyRate, loanTenure)) /
-          (Math.pow(1 + monthlyRate, loanTenure) - 1)
-        )
-      : 0;
-
-    // Prepare documents array
-    const documents = [];
-    const pushGroup = (arr, type) => {
-      (arr || []).forEach(file => {
-        documents.push({
-          type,
-          name: file.originalname,
-          url: `/uploads/${file.filename}`,
-          status: 'Pending'
-        });
-      });
-    };
-    pushGroup(files.idProof, 'ID');
-    pushGroup(files.addressProof, 'Address');
-    pushGroup(files.incomeProof, 'Income');
-    pushGroup(files.bankStatement, 'Bank Statement');
-    pushGroup(files.otherDocuments, 'Other');
-    // Handle selfie file (single file, not array)
-    if (files.selfie && files.selfie.length > 0) {
-      const selfieFile = files.selfie[0];
-      documents.push({
-        type: 'Selfie',
-        name: selfieFile.originalname,
-        url: `/uploads/${selfieFile.filename}`,
-        status: 'Pending'
-      });
-    }
-
-    // Handle dynamic fields
-    const dynamicFields = applicationData.dynamicFields || {};
-    
-    // Process dynamic file fields and add to documents array
-    Object.keys(dynamicFiles).forEach(fieldName => {
-      const fieldFiles = dynamicFiles[fieldName];
-      fieldFiles.forEach(file => {
-        documents.push({
-          type: `Dynamic: ${fieldName}`,
-          name: file.originalname,
-          url: `/uploads/${file.filename}`,
-          status: 'Pending'
-        });
+    // Price the loan with the same calculator the public quote endpoint uses
+    const { errors: quoteErrors, quote } = quoteLoan(loan, { amount: loanAmount, tenure: loanTenure });
+    if (quoteErrors) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(quoteErrors).join(', '),
+        errors: quoteErrors
       });
-      // Store file URLs in dynamicFields
-      if (!dynamicFields[fieldName]) {
-        dynamicFields[fieldName] = [];
-      }
-      dynamicFields[fieldName] = fieldFiles.map(f => ({
-        name: f.originalname,
-        url: `/uploads/${f.filename}`
-      }));
-    });
+    }
+    const { interestRate: annualRate, emi, processingFee } = quote;
+
+    if (await rejectUnserviceable(res, loan, applicationData.address)) return;
+
+    // Prepare documents array; dynamic file fields also store their URLs in dynamicFields
+    const { documents, dynamicFiles } = await buildDocuments(req.files);
+    const dynamicFields = { ...(applicationData.dynamicFields || {}), ...dynamicFiles };
     
     // Validate and prepare employmentInfo
     const employmentInfo = applicationData.employmentInfo || {};
@@ -214,6 +261,9 @@ router.post('/', protect, uploadAny, async (req, res) => {
       });
     }
     
+    const { errors: bankErrors, value: bankDetails } = validateBankDetails(applicationData.bankDetails);
+    if (bankErrors) return validationFailed(res, bankErrors);
+
     // Prepare final employmentInfo object
     const finalEmploymentInfo = {
       employmentType: employmentInfo.employmentType.trim(),
@@ -226,46 +276,34 @@ router.post('/', protect, uploadAny, async (req, res) => {
     };
     
     // Create application
-    const application = await Application.create({
+    const application = new Application({
       userId: req.user._id,
       loanId: loan._id,
       loanType: loan.type,
       personalInfo: applicationData.personalInfo,
       address: applicationData.address,
       employmentInfo: finalEmploymentInfo,
+      bankDetails,
       loanDetails: {
         loanAmount,
         loanTenure,
         interestRate: annualRate,
-        emi
+        emi,
+        processingFee
       },
       documents,
-      dynamicFields: dynamicFields,
-      status: 'Submitted'
+      dynamicFields: dynamicFields
     });
+    application.transitionTo('Submitted', { changedBy: req.user._id });
+    await screenForRisks(application);
+    await application.save();
 
-    // Send confirmation email (fix signature)
-    const emailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width:600px;margin:0 auto;padding:20px;">
-        <h2 style="color:#333;">Loan Application Submitted</h2>
-        <p style="color:#666;">Dear ${applicationData.personalInfo?.fullName || 'Applicant'},</p>
-        <p style="color:#666;">Your loan application has been submitted successfully.</p>
-        <p style="color:#666;"><strong>Application Number:</strong> ${application.applicationNumber}</p>
-        <p style="color:#666;"><strong>Loan Type:</strong> ${loan.type}</p>
-        <p style="color:#666;"><strong>Loan Amount:</strong> ₹${loanAmount.toLocaleString()}</p>
-        <p style="color:#666;">We will review your application and get back to you soon.</p>
-      </div>`;
-    await sendEmail({
-      to: applicationData.personalInfo?.email,
-      subject: 'Loan Application Submitted',
-      html: emailHtml,
-      text: 'Your loan application has been submitted.'
-    });
+    await sendSubmittedEmail(application, loan);
 
     return res.status(201).json({
       success: true,
       message: 'Application submitted successfully',
-      data: application
+      data: withoutRiskDetails(application)
     });
   } catch (error) {
     console.error('=== Error in application creation ===');
@@ -292,7 +330,8 @@ router.post('/', protect, uploadAny, async (req, res) => {
       
       return res.status(400).json({
         success: false,
-        message: `Validation failed: ${errorMessages}`
+        message: `Validation failed: ${errorMessages}`,
+        errors
       });
     }
     
@@ -304,6 +343,154 @@ router.post('/', protect, uploadAny, async (req, res) => {
   }
 });
 
+// @route   POST /api/applications/drafts
+// @desc    Start a draft application (no validation; sections are filled in later)
+// @access  Private
+router.post('/drafts', protect, async (req, res) => {
+  try {
+    const data = parseJsonSections(req.body);
+    const loanId = data.loanId || data.loanProductId;
+    const loan = loanId && mongoose.Types.ObjectId.isValid(loanId) ? await Loan.findById(loanId) : null;
+
+    const draft = { userId: req.user._id, status: 'Draft' };
+    if (loan) {
+      draft.loanId = loan._id;
+      draft.loanType = loan.type;
+    }
+    ['personalInfo', 'address', 'employmentInfo', 'loanDetails', 'dynamicFields'].forEach(section => {
+      if (data[section] && typeof data[section] === 'object') draft[section] = data[section];
+    });
+
+    const application = await Application.create(draft);
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft saved',
+      data: application
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationFailed(res, Object.fromEntries(Object.values(error.errors).map(e => [e.path, e.message])));
+    }
+    res.status(error.name === 'CastError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/applications/:id/sections/:section
+// @desc    Save one section of a draft (personalInfo, address, employmentInfo, bankDetails,
+//          loanDetails, documents, dynamicFields) after validating just that section
+// @access  Private (owner, Draft only)
+router.patch('/:id/sections/:section', protect, uploadDocuments, async (req, res) => {
+  try {
+    const { section } = req.params;
+    if (!APPLICATION_SECTIONS.includes(section)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown section. Use one of: ${APPLICATION_SECTIONS.join(', ')}`
+      });
+    }
+
+    const application = await loadOwnDraft(req, res);
+    if (!application) return;
+
+    const data = req.body || {};
+
+    if (['personalInfo', 'address', 'employmentInfo', 'bankDetails'].includes(section)) {
+      const validators = {
+        personalInfo: validatePersonalInfo,
+        address: validateAddress,
+        employmentInfo: validateEmploymentInfo,
+        bankDetails: validateBankDetails
+      };
+      const { errors, value } = validators[section](data);
+      if (errors) return validationFailed(res, errors);
+      if (section === 'address' && application.loanId) {
+        const loan = await Loan.findById(application.loanId);
+        if (loan && await rejectUnserviceable(res, loan, value)) return;
+      }
+      application.set(section, value);
+    }
+
+    if (section === 'loanDetails') {
+      const loanId = data.loanId || data.loanProductId || application.loanId;
+      const loan = loanId && mongoose.Types.ObjectId.isValid(loanId) ? await Loan.findById(loanId) : null;
+      const { errors, value } = validateLoanDetails(loan, data);
+      if (errors) return validationFailed(res, errors);
+      application.loanId = loan._id;
+      application.loanType = loan.type;
+      application.set('loanDetails', value);
+    }
+
+    if (section === 'documents') {
+      const { documents, dynamicFiles } = await buildDocuments(req.files);
+      if (!documents.length) {
+        return validationFailed(res, { documents: 'Upload at least one document' });
+      }
+      application.documents.push(...documents);
+      Object.entries(dynamicFiles).forEach(([name, files]) => application.dynamicFields.set(name, files));
+    }
+
+    if (section === 'dynamicFields') {
+      const loan = application.loanId ? await Loan.findById(application.loanId) : null;
+      const values = parseJsonSections({ dynamicFields: data.dynamicFields ?? data }).dynamicFields || {};
+      const { errors } = validateDynamicFields(await formFieldsForLoan(loan), values);
+      if (errors) return validationFailed(res, errors);
+      Object.entries(values).forEach(([name, value]) => application.dynamicFields.set(name, value));
+    }
+
+    await application.save();
+
+    res.json({
+      success: true,
+      message: `${section} saved`,
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/submit
+// @desc    Validate a draft in full and submit it
+// @access  Private (owner, Draft only)
+router.post('/:id/submit', protect, async (req, res) => {
+  try {
+    const application = await loadOwnDraft(req, res);
+    if (!application) return;
+
+    const loan = application.loanId ? await Loan.findById(application.loanId) : null;
+    const { errors } = validateForSubmission(application, loan, await formFieldsForLoan(loan));
+    if (errors) return validationFailed(res, errors);
+    if (await rejectUnserviceable(res, loan, application.address)) return;
+
+    // Re-price with the loan's current terms so the stored EMI matches the quote at submission
+    application.set('loanDetails', validateLoanDetails(loan, application.loanDetails).value);
+    application.loanType = loan.type;
+    application.transitionTo('Submitted', { changedBy: req.user._id });
+    await screenForRisks(application);
+    await application.save();
+
+    await sendSubmittedEmail(application, loan);
+
+    res.json({
+      success: true,
+      message: 'Application submitted successfully',
+      data: withoutRiskDetails(application)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/applications
 // @desc    Get user's applications
 // @access  Private
@@ -322,6 +509,8 @@ router.get('/', protect, async (req, res) => {
       .populate('userId', 'name email phone')
       .sort({ createdAt: -1 });
 
+    await Promise.all(applications.filter(a => a.status === 'Offered').map(refreshOffers));
+
     res.json({
       success: true,
       count: applications.length,
@@ -343,7 +532,9 @@ router.get('/:id', protect, async (req, res) => {
     const application = await Application.findById(req.params.id)
       .populate({ path: 'loanId', populate: { path: 'category', select: 'name slug active' } })
       .populate('userId', 'name email phone')
-      .populate('approvedBy', 'name');
+      .populate('approvedBy', 'name')
+      .populate('statusHistory.changedBy', 'name email role')
+      .select(req.user.role === 'admin' ? RISK_FIELDS : '');
 
     if (!application) {
       return res.status(404).json({
@@ -360,6 +551,8 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
+    await refreshOffers(application);
+
     res.json({
       success: true,
       data: application
@@ -395,18 +588,128 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
-    const updatedApplication = await Application.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
+    // Status changes go through the transition table and are recorded in statusHistory.
+    // Only the form sections can be edited here, loan details only while still a draft.
+    // Everything else (terms acceptance, generated documents, offers, risk screening,
+    // numbering, ownership) is set by its own workflow.
+    const { status, statusReason } = req.body;
+    const editable = ['personalInfo', 'address', 'employmentInfo', 'bankDetails', 'dynamicFields'];
+    if (application.status === 'Draft') editable.push('loanDetails');
+    if (req.user.role === 'admin') editable.push('adminNotes');
+    const updates = Object.fromEntries(
+      editable.filter(key => req.body[key] !== undefined).map(key => [key, req.body[key]])
     );
 
+    if (status !== undefined && status !== application.status) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to change application status'
+        });
+      }
+      if (status === 'Offered') {
+        return res.status(400).json({
+          success: false,
+          message: 'Use POST /api/applications/:id/offers to make an offer'
+        });
+      }
+      if (status === 'Withdrawn') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only the applicant can withdraw an application'
+        });
+      }
+      // These record who decided, generate the loan documents and email the applicant
+      if (status === 'Approved' || status === 'Rejected') {
+        return res.status(400).json({
+          success: false,
+          message: `Use POST /api/applications/:id/${status === 'Approved' ? 'approve' : 'reject'} to ${status === 'Approved' ? 'approve' : 'reject'} an application`
+        });
+      }
+      if (!application.canTransitionTo(status)) {
+        return invalidTransition(res, application, status);
+      }
+    }
+
+    application.set(updates);
+    if (status !== undefined && status !== application.status) {
+      application.transitionTo(status, { changedBy: req.user._id, reason: statusReason });
+    }
+    const updatedApplication = await application.save();
+
     res.json({
       success: true,
       data: updatedApplication
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/withdraw
+// @desc    Withdraw an application that is still being assessed
+// @access  Private (owner)
+router.post('/:id/withdraw', protect, async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for withdrawing'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+    const application = await Application.findById(req.params.id).populate('loanId', 'name');
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+    if (application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to withdraw this application'
+      });
+    }
+    if (!application.canTransitionTo('Withdrawn')) {
+      return invalidTransition(res, application, 'Withdrawn');
+    }
+
+    application.withdrawalReason = reason;
+    application.withdrawnAt = new Date();
+    application.transitionTo('Withdrawn', { changedBy: req.user._id, reason });
+    await application.save();
+
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #333;">Application Withdrawn</h2>
+        <p style="color: #666;">An applicant has withdrawn their loan application.</p>
+        <p style="color: #666;"><strong>Application Number:</strong> ${escapeHtml(application.applicationNumber)}</p>
+        <p style="color: #666;"><strong>Applicant:</strong> ${escapeHtml(application.personalInfo?.fullName)} (${escapeHtml(application.personalInfo?.email)})</p>
+        <p style="color: #666;"><strong>Loan:</strong> ${escapeHtml(application.loanId?.name)}</p>
+        <p style="color: #666;"><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+      </div>
+    `;
+    await notifyAdmins({
+      subject: `Application ${application.applicationNumber} withdrawn`,
+      html: emailHtml,
+      text: `Application ${application.applicationNumber} was withdrawn by the applicant. Reason: ${reason}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Application withdrawn',
+      data: application
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Server error'
     });
@@ -435,9 +738,20 @@ router.post('/:id/approve', protect, async (req, res) => {
       });
     }
 
-    application.status = 'Approved';
+    if (application.status === 'Offered') {
+      return res.status(409).json({
+        success: false,
+        message: 'An offer is waiting for the applicant. It is approved when the applicant accepts it.'
+      });
+    }
+    if (!application.canTransitionTo('Approved')) {
+      return invalidTransition(res, application, 'Approved');
+    }
+
+    application.transitionTo('Approved', { changedBy: req.user._id, reason: req.body.reason });
     application.approvedAt = new Date();
     application.approvedBy = req.user._id;
+    const attachments = await prepareLoanDocuments(application);
     await application.save();
 
     // Send approval email
@@ -448,15 +762,18 @@ router.post('/:id/approve', protect, async (req, res) => {
         <p style="color: #666;">Congratulations! Your loan application has been approved.</p>
         <p style="color: #666;"><strong>Application Number:</strong> ${application.applicationNumber}</p>
         <p style="color: #666;"><strong>Loan Amount:</strong> ₹${application.loanDetails.loanAmount.toLocaleString()}</p>
+        <p style="color: #666;">Your sanction letter and loan agreement are attached.</p>
         <p style="color: #666;">Our team will contact you shortly to proceed with the disbursement.</p>
       </div>
     `;
 
-    await sendEmail(
-      application.userId.email,
-      'Loan Application Approved',
-      emailHtml
-    );
+    await sendEmail({
+      to: application.userId.email,
+      subject: 'Loan Application Approved',
+      html: emailHtml,
+      text: `Your loan application ${application.applicationNumber} has been approved.`,
+      attachments
+    });
 
     res.json({
       success: true,
@@ -494,9 +811,13 @@ router.post('/:id/reject', protect, async (req, res) => {
       });
     }
 
-    application.status = 'Rejected';
-    application.rejectedAt = new Date();
+    if (!application.canTransitionTo('Rejected')) {
+      return invalidTransition(res, application, 'Rejected');
+    }
+
     application.rejectionReason = rejectionReason || 'Application did not meet eligibility criteria';
+    application.transitionTo('Rejected', { changedBy: req.user._id, reason: application.rejectionReason });
+    application.rejectedAt = new Date();
     await application.save();
 
     // Send rejection email
@@ -530,6 +851,846 @@ router.post('/:id/reject', protect, async (req, res) => {
   }
 });
 
+async function offerValidityDays() {
+  const settings = await AdminSettings.findOne().sort({ createdAt: -1 }).select('offerValidityDays');
+  return settings?.offerValidityDays || 7;
+}
+
+// Load the current user's application and one of its offers, or send the error response
+async function loadOwnOffer(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: 'Application not found' });
+    return {};
+  }
+  const application = await Application.findById(req.params.id).populate('userId', 'name email');
+  if (!application) {
+    res.status(404).json({ success: false, message: 'Application not found' });
+    return {};
+  }
+  if (application.userId._id.toString() !== req.user._id.toString()) {
+    res.status(403).json({ success: false, message: 'Not authorized to respond to this offer' });
+    return {};
+  }
+  const offer = application.offers.id(req.params.offerId);
+  if (!offer) {
+    res.status(404).json({ success: false, message: 'Offer not found' });
+    return {};
+  }
+  if (application.expireOffers()) {
+    await application.save();
+  }
+  if (offer.status !== 'Pending') {
+    res.status(409).json({ success: false, message: `This offer is ${offer.status.toLowerCase()}` });
+    return {};
+  }
+  return { application, offer };
+}
+
+// @route   POST /api/applications/:id/offers
+// @desc    Offer an amount, tenure and rate (within the loan's bounds) to the applicant.
+//          A new offer replaces any offer still waiting for a response.
+// @access  Private/Admin
+router.post('/:id/offers', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { loanAmount, loanTenure, interestRate, remarks } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+    const application = await Application.findById(req.params.id).populate('userId', 'name email');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+    if (application.status !== 'Offered' && !application.canTransitionTo('Offered')) {
+      return invalidTransition(res, application, 'Offered');
+    }
+
+    const loan = await Loan.findById(application.loanId);
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    // Unspecified terms default to what the applicant requested
+    const { errors, quote } = quoteLoan(loan, {
+      amount: loanAmount ?? application.loanDetails.loanAmount,
+      tenure: loanTenure ?? application.loanDetails.loanTenure,
+      rate: interestRate ?? application.loanDetails.interestRate
+    });
+    if (errors) {
+      return validationFailed(res, errors);
+    }
+
+    const previous = application.pendingOffer();
+    if (previous) previous.status = 'Superseded';
+
+    const validityDays = await offerValidityDays();
+    application.offers.push({
+      loanAmount: quote.loanAmount,
+      loanTenure: quote.tenure,
+      interestRate: quote.interestRate,
+      emi: quote.emi,
+      processingFee: quote.processingFee,
+      totalPayable: quote.totalPayable,
+      remarks,
+      expiresAt: new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000),
+      createdBy: req.user._id
+    });
+    const offer = application.offers[application.offers.length - 1];
+    if (application.status !== 'Offered') {
+      application.transitionTo('Offered', { changedBy: req.user._id, reason: remarks });
+    }
+    await application.save();
+
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #333;">Your Loan Offer</h2>
+        <p style="color: #666;">Dear ${escapeHtml(application.personalInfo.fullName)},</p>
+        <p style="color: #666;">We have reviewed your application and can offer you the following terms.</p>
+        <p style="color: #666;"><strong>Application Number:</strong> ${application.applicationNumber}</p>
+        <p style="color: #666;"><strong>Loan Amount:</strong> ₹${offer.loanAmount.toLocaleString()}</p>
+        <p style="color: #666;"><strong>Tenure:</strong> ${offer.loanTenure} months</p>
+        <p style="color: #666;"><strong>Interest Rate:</strong> ${offer.interestRate}% p.a.</p>
+        <p style="color: #666;"><strong>EMI:</strong> ₹${offer.emi.toLocaleString()}</p>
+        <p style="color: #666;">Please accept or decline this offer before ${offer.expiresAt.toDateString()}.</p>
+      </div>
+    `;
+    await sendEmail({
+      to: application.userId.email,
+      subject: 'Your Loan Offer',
+      html: emailHtml,
+      text: `You have a loan offer for application ${application.applicationNumber}. It expires on ${offer.expiresAt.toDateString()}.`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer sent to the applicant',
+      data: {
+        offer,
+        schedule: quote.schedule,
+        application
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/offers/:offerId/accept
+// @desc    Accept an offer; its terms become the application's loan details and it is approved
+// @access  Private (owner)
+router.post('/:id/offers/:offerId/accept', protect, async (req, res) => {
+  try {
+    const { application, offer } = await loadOwnOffer(req, res);
+    if (!offer) return;
+
+    const acceptedAt = new Date();
+    offer.status = 'Accepted';
+    offer.respondedAt = acceptedAt;
+    offer.acceptedAt = acceptedAt;
+
+    const { loanAmount, loanTenure, interestRate, emi, processingFee } = application.loanDetails;
+    application.requestedLoanDetails = { loanAmount, loanTenure, interestRate, emi, processingFee };
+    application.set('loanDetails', {
+      ...application.loanDetails.toObject(),
+      loanAmount: offer.loanAmount,
+      loanTenure: offer.loanTenure,
+      interestRate: offer.interestRate,
+      emi: offer.emi,
+      processingFee: offer.processingFee
+    });
+
+    application.transitionTo('Approved', { changedBy: req.user._id, reason: 'Offer accepted' });
+    application.approvedAt = acceptedAt;
+    application.approvedBy = offer.createdBy;
+    const attachments = await prepareLoanDocuments(application);
+    await application.save();
+
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #28a745;">Loan Offer Accepted</h2>
+        <p style="color: #666;">Dear ${escapeHtml(application.personalInfo.fullName)},</p>
+        <p style="color: #666;">Thank you for accepting our offer. Your loan application has been approved.</p>
+        <p style="color: #666;"><strong>Application Number:</strong> ${application.applicationNumber}</p>
+        <p style="color: #666;"><strong>Loan Amount:</strong> ₹${offer.loanAmount.toLocaleString()}</p>
+        <p style="color: #666;"><strong>EMI:</strong> ₹${offer.emi.toLocaleString()} for ${offer.loanTenure} months</p>
+        <p style="color: #666;">Your sanction letter and loan agreement are attached.</p>
+        <p style="color: #666;">Our team will contact you shortly to proceed with the disbursement.</p>
+      </div>
+    `;
+    await sendEmail({
+      to: application.userId.email,
+      subject: 'Loan Offer Accepted',
+      html: emailHtml,
+      text: `You accepted the offer for application ${application.applicationNumber}.`,
+      attachments
+    });
+
+    res.json({
+      success: true,
+      message: 'Offer accepted',
+      data: application
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/offers/:offerId/decline
+// @desc    Decline an offer; the application goes back to Under Review
+// @access  Private (owner)
+router.post('/:id/offers/:offerId/decline', protect, async (req, res) => {
+  try {
+    const { application, offer } = await loadOwnOffer(req, res);
+    if (!offer) return;
+
+    offer.status = 'Declined';
+    offer.respondedAt = new Date();
+    offer.declineReason = req.body.reason;
+    application.transitionTo('Under Review', {
+      changedBy: req.user._id,
+      reason: req.body.reason ? `Offer declined: ${req.body.reason}` : 'Offer declined'
+    });
+    await application.save();
+
+    res.json({
+      success: true,
+      message: 'Offer declined',
+      data: application
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/applications/:id/loan-documents/:kind/url
+// @desc    Get a signed download URL for the current sanction letter (kind=sanctionLetter)
+//          or loan agreement (kind=loanAgreement)
+// @access  Private (owner or admin)
+router.get('/:id/loan-documents/:kind/url', protect, async (req, res) => {
+  try {
+    if (!TEMPLATE_KINDS.includes(req.params.kind)) {
+      return res.status(404).json({
+        success: false,
+        message: `Document kind must be one of: ${TEMPLATE_KINDS.join(', ')}`
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+    const application = await Application.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+    if (req.user.role !== 'admin' && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this document'
+      });
+    }
+
+    const document = application.latestGeneratedDocument(req.params.kind);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'This document is generated once the application is approved'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        name: document.name,
+        mimeType: document.mimeType,
+        generatedAt: document.generatedAt,
+        ...signDocumentUrl(application._id, document)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/loan-documents
+// @desc    Regenerate the sanction letter and loan agreement (e.g. after a template change)
+// @access  Private/Admin
+router.post('/:id/loan-documents', protect, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+    const application = await Application.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+    if (application.status !== 'Approved') {
+      return res.status(409).json({
+        success: false,
+        message: 'Loan documents are only generated for approved applications'
+      });
+    }
+
+    if (application.termsAcceptance?.acceptedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'The applicant has already accepted these documents'
+      });
+    }
+
+    await generateLoanDocuments(application);
+    await application.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Loan documents generated',
+      data: TEMPLATE_KINDS.map(kind => application.latestGeneratedDocument(kind))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+const TERMS_OTP_TTL_MS = 10 * 60 * 1000;
+const TERMS_OTP_MAX_ATTEMPTS = 5;
+
+// Load the current user's approved application and its current terms, or send the error response
+async function loadOwnTerms(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: 'Application not found' });
+    return {};
+  }
+  const application = await Application.findById(req.params.id).populate('userId', 'name email');
+  if (!application) {
+    res.status(404).json({ success: false, message: 'Application not found' });
+    return {};
+  }
+  if (application.userId._id.toString() !== req.user._id.toString()) {
+    res.status(403).json({ success: false, message: 'Not authorized to accept these terms' });
+    return {};
+  }
+  if (application.status !== 'Approved') {
+    res.status(409).json({ success: false, message: 'Loan terms can only be accepted once the application is approved' });
+    return {};
+  }
+  if (application.termsAcceptance?.acceptedAt) {
+    res.status(409).json({ success: false, message: 'Loan terms have already been accepted' });
+    return {};
+  }
+  const terms = currentTerms(application);
+  if (!terms) {
+    res.status(409).json({ success: false, message: 'Loan documents have not been generated yet' });
+    return {};
+  }
+  return { application, terms };
+}
+
+// @route   GET /api/applications/:id/terms
+// @desc    Get the terms to accept (sanction letter and loan agreement with signed URLs),
+//          their hash, and the acceptance record once accepted
+// @access  Private (owner or admin)
+router.get('/:id/terms', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+    const application = await Application.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+    if (req.user.role !== 'admin' && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view these terms'
+      });
+    }
+
+    const terms = currentTerms(application);
+    if (!terms) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan documents have not been generated yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        termsHash: terms.termsHash,
+        loanDetails: application.loanDetails,
+        documents: terms.documents.map(d => ({
+          _id: d._id,
+          kind: d.kind,
+          name: d.name,
+          sha256: d.sha256,
+          generatedAt: d.generatedAt,
+          ...signDocumentUrl(application._id, d)
+        })),
+        accepted: !!application.termsAcceptance?.acceptedAt,
+        acceptance: application.termsAcceptance?.acceptedAt ? application.termsAcceptance : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/terms/otp
+// @desc    Send an OTP to the applicant's email to sign the terms. Send the termsHash from
+//          GET /terms so the OTP is bound to the documents the applicant viewed.
+// @access  Private (owner)
+router.post('/:id/terms/otp', protect, otpSendLimit, async (req, res) => {
+  try {
+    const { application, terms } = await loadOwnTerms(req, res);
+    if (!terms) return;
+
+    if (req.body.termsHash !== terms.termsHash) {
+      return res.status(409).json({
+        success: false,
+        message: 'The loan documents have changed. Please review them again.',
+        termsHash: terms.termsHash
+      });
+    }
+
+    const email = application.userId.email;
+    const otp = generateOTP();
+    const expiresAt = new Date(Date.now() + TERMS_OTP_TTL_MS);
+
+    await OTP.deleteMany({ applicationId: application._id, action: 'accept_terms' });
+    await OTP.create({
+      email,
+      code: otp,
+      purpose: 'application',
+      action: 'accept_terms',
+      applicationId: application._id,
+      userId: req.user._id,
+      termsHash: terms.termsHash,
+      expiresAt
+    });
+
+    const emailResult = await sendOTPEmail(email, otp, 'accepting your loan terms');
+    if (!emailResult.success && process.env.NODE_ENV === 'production') {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send OTP email'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'OTP sent to your email address',
+      otpExpiresIn: TERMS_OTP_TTL_MS / 1000,
+      // In development only, return OTP for testing
+      ...(process.env.NODE_ENV !== 'production' && { devOtp: otp })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/terms/accept
+// @desc    Accept the loan terms by confirming the OTP. Records the OTP, IP, user agent,
+//          time and the hash of the exact documents accepted.
+// @access  Private (owner)
+router.post('/:id/terms/accept', protect, otpVerifyLimit, async (req, res) => {
+  try {
+    const { otp, termsHash } = req.body;
+    if (!otp || !termsHash) {
+      return res.status(400).json({
+        success: false,
+        message: 'OTP and termsHash are required'
+      });
+    }
+
+    const { application, terms } = await loadOwnTerms(req, res);
+    if (!terms) return;
+
+    const otpRecord = await OTP.findOne({
+      applicationId: application._id,
+      userId: req.user._id,
+      action: 'accept_terms',
+      verified: false
+    });
+    if (!otpRecord || new Date() > otpRecord.expiresAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'OTP has expired or was not requested'
+      });
+    }
+    if (otpRecord.termsHash !== termsHash || termsHash !== terms.termsHash) {
+      return res.status(409).json({
+        success: false,
+        message: 'The loan documents have changed. Please review them again.',
+        termsHash: terms.termsHash
+      });
+    }
+    if (otpRecord.code !== String(otp)) {
+      otpRecord.attempts += 1;
+      if (otpRecord.attempts >= TERMS_OTP_MAX_ATTEMPTS) {
+        await otpRecord.deleteOne();
+        return res.status(400).json({
+          success: false,
+          message: 'Too many incorrect attempts. Please request a new OTP.'
+        });
+      }
+      await otpRecord.save();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid OTP'
+      });
+    }
+
+    // Keep the OTP record as evidence: dropping expiresAt takes it out of the TTL index
+    const now = new Date();
+    await OTP.updateOne(
+      { _id: otpRecord._id },
+      { $set: { verified: true, verifiedAt: now }, $unset: { expiresAt: 1 } }
+    );
+
+    application.termsAcceptance = {
+      acceptedAt: now,
+      acceptedBy: req.user._id,
+      termsHash: terms.termsHash,
+      documents: terms.documents.map(d => ({
+        documentId: d._id,
+        kind: d.kind,
+        sha256: d.sha256,
+        templateVersion: d.templateVersion
+      })),
+      otpId: otpRecord._id,
+      otpSentTo: otpRecord.email,
+      otpVerifiedAt: now,
+      ip: req.ip,
+      forwardedFor: req.headers['x-forwarded-for'],
+      userAgent: req.headers['user-agent']
+    };
+    await application.save();
+
+    res.json({
+      success: true,
+      message: 'Loan terms accepted',
+      data: application.termsAcceptance
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Applications whose documents can still be reviewed or replaced
+const DOCUMENT_REVIEW_STATUSES = ['Submitted', 'Under Review', 'Documents Pending'];
+
+// Load an application and one of its documents for review, or send the error response
+async function loadDocument(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: 'Application not found' });
+    return {};
+  }
+  const application = await Application.findById(req.params.id).populate('userId', 'name email');
+  if (!application) {
+    res.status(404).json({ success: false, message: 'Application not found' });
+    return {};
+  }
+  const document = application.documents.id(req.params.docId);
+  if (!document) {
+    res.status(404).json({ success: false, message: 'Document not found' });
+    return {};
+  }
+  if (!DOCUMENT_REVIEW_STATUSES.includes(application.status)) {
+    res.status(409).json({
+      success: false,
+      message: `Documents cannot be changed while the application is ${application.status}`
+    });
+    return {};
+  }
+  return { application, document };
+}
+
+// @route   GET /api/applications/:id/documents/:docId/url
+// @desc    Get a short-lived signed download URL for a document
+// @access  Private (owner or admin)
+router.get('/:id/documents/:docId/url', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+    const application = await Application.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+    if (req.user.role !== 'admin' && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this document'
+      });
+    }
+
+    const document = application.documents.id(req.params.docId);
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    if (!document.storageKey) {
+      return res.status(409).json({
+        success: false,
+        message: 'This document has not been moved to private storage yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        name: document.name,
+        mimeType: document.mimeType,
+        ...signDocumentUrl(application._id, document)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/documents/:docId/verify
+// @desc    Mark a single document as verified (Admin only)
+// @access  Private/Admin
+router.post('/:id/documents/:docId/verify', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { application, document } = await loadDocument(req, res);
+    if (!application) return;
+
+    document.status = 'Verified';
+    document.rejectionReason = undefined;
+    document.reviewedBy = req.user._id;
+    document.reviewedAt = new Date();
+    await application.save();
+
+    res.json({
+      success: true,
+      message: 'Document verified',
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/documents/:docId/reject
+// @desc    Reject a single document; the application moves to Documents Pending and the
+//          applicant is emailed the list of documents to re-upload (Admin only)
+// @access  Private/Admin
+router.post('/:id/documents/:docId/reject', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rejection reason is required'
+      });
+    }
+
+    const { application, document } = await loadDocument(req, res);
+    if (!application) return;
+
+    document.status = 'Rejected';
+    document.rejectionReason = String(reason).trim();
+    document.reviewedBy = req.user._id;
+    document.reviewedAt = new Date();
+
+    if (application.status !== 'Documents Pending') {
+      application.transitionTo('Documents Pending', {
+        changedBy: req.user._id,
+        reason: `Document rejected: ${document.name}`
+      });
+    }
+    await application.save();
+
+    const rejected = application.documents.filter(d => d.status === 'Rejected');
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #333;">Documents Required</h2>
+        <p style="color: #666;">Dear ${escapeHtml(application.personalInfo.fullName)},</p>
+        <p style="color: #666;">Some documents on your loan application need to be uploaded again.</p>
+        <p style="color: #666;"><strong>Application Number:</strong> ${application.applicationNumber}</p>
+        <ul style="color: #666;">
+          ${rejected.map(d => `<li><strong>${escapeHtml(d.type)}</strong> (${escapeHtml(d.name)}): ${escapeHtml(d.rejectionReason)}</li>`).join('')}
+        </ul>
+        <p style="color: #666;">Please log in and re-upload these documents so we can continue reviewing your application.</p>
+      </div>
+    `;
+    await sendEmail({
+      to: application.personalInfo?.email || application.userId.email,
+      subject: 'Documents Required for Your Loan Application',
+      html: emailHtml,
+      text: `Please re-upload: ${rejected.map(d => `${d.type} (${d.rejectionReason})`).join(', ')}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Document rejected',
+      data: application
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Stops anyone but the applicant before a file is buffered or the document and application
+// status are looked up, so non-owners learn nothing about either
+async function ownApplicationOnly(req, res, next) {
+  try {
+    const application = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Application.findById(req.params.id).select('userId').lean()
+      : null;
+    if (!application) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+    if (application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this application'
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+}
+
+// @route   PUT /api/applications/:id/documents/:docId
+// @desc    Replace a rejected document (multipart field "file"). Once no rejected documents
+//          remain, the application goes back to Under Review.
+// @access  Private (owner)
+router.put('/:id/documents/:docId', protect, ownApplicationOnly, documentUpload.single('file'), async (req, res) => {
+  try {
+    const { application, document } = await loadDocument(req, res);
+    if (!application) return;
+
+    if (document.status !== 'Rejected') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only rejected documents can be replaced'
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    // The old file stays in storage for the audit trail
+    document.previousVersions.push({
+      name: document.name,
+      url: document.url,
+      storageDriver: document.storageDriver,
+      storageKey: document.storageKey,
+      uploadedAt: document.uploadedAt,
+      rejectionReason: document.rejectionReason,
+      sha256: document.sha256
+    });
+    const oldUrl = document.url;
+    const stored = await storeDocument(req.file);
+    document.set({ ...stored, url: undefined });
+
+    // Dynamic file fields also keep their file list in dynamicFields
+    if (document.type.startsWith('Dynamic: ')) {
+      const fieldName = document.type.replace('Dynamic: ', '');
+      const files = application.dynamicFields.get(fieldName);
+      if (Array.isArray(files)) {
+        application.dynamicFields.set(fieldName, files.map(f =>
+          String(f.documentId) === String(document._id) || (oldUrl && f.url === oldUrl)
+            ? { name: document.name, documentId: document._id }
+            : f
+        ));
+      }
+    }
+    document.uploadedAt = new Date();
+    document.status = 'Pending';
+    document.rejectionReason = undefined;
+    document.reviewedBy = undefined;
+    document.reviewedAt = undefined;
+
+    const stillRejected = application.documents.some(d => d.status === 'Rejected');
+    if (!stillRejected && application.status === 'Documents Pending') {
+      application.transitionTo('Under Review', {
+        changedBy: req.user._id,
+        reason: 'Rejected documents re-uploaded'
+      });
+    }
+    // The new file may be one already seen on another account
+    await screenForRisks(application);
+    await application.save();
+
+    res.json({
+      success: true,
+      message: 'Document replaced',
+      data: withoutRiskDetails(application)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// 409 response for a status move the transition table does not allow
+function invalidTransition(res, application, status) {
+  return res.status(409).json({
+    success: false,
+    message: `Cannot change application status from '${application.status}' to '${status}'`,
+    currentStatus: application.status,
+    allowedStatuses: STATUS_TRANSITIONS[application.status] || []
+  });
+}
+
 // Validation helper
 function validateObjectId(id, field) {
   if (!id) throw new Error(`${field} is required`);
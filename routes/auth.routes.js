@@ -1,9 +1,17 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import User from '../models/User.model.js';
 import OTP from '../models/OTP.model.js';
-import { generateToken, generateOTP } from '../utils/generateToken.js';
+import { generateOTP } from '../utils/generateToken.js';
+import { startSession, rotateSession, revokeSessions } from '../utils/sessions.js';
+import { rateLimit, sendTooManyRequests, otpSendLimit, otpVerifyLimit } from '../utils/rateLimit.js';
+import Session from '../models/Session.model.js';
 import { sendOTPEmail, verifySMTP } from '../utils/sendEmail.js';
+import { sendOTPSMS } from '../utils/sms.js';
 import { protect } from '../middleware/auth.middleware.js';
+import { kycError, toE164Mobile } from '../utils/kyc.js';
+import AdminSettings from '../models/AdminSettings.model.js';
+import { verifyFirebaseIdToken, getFirebaseProjectId, INVALID_TOKEN } from '../utils/firebaseAuth.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -48,6 +56,26 @@ function smtpPreflight() {
   };
 }
 
+// Wrong codes allowed per OTP before it is invalidated
+const OTP_MAX_ATTEMPTS = 5;
+
+// Consecutive wrong passwords before logins are locked, and for how long
+const loginLockout = () => ({
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  minutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+});
+
+const loginLimit = rateLimit({ ip: 'LOGIN_IP', account: 'LOGIN_ACCOUNT' });
+
+// Count a wrong code against the user's OTP; returns true once it has been invalidated
+const recordWrongUserOtp = async (user) => {
+  user.otp.attempts = (user.otp.attempts || 0) + 1;
+  const exhausted = user.otp.attempts >= OTP_MAX_ATTEMPTS;
+  if (exhausted) user.otp = undefined;
+  await user.save();
+  return exhausted;
+};
+
 // Simple status route
 router.get('/smtp-status', (_req, res) => {
   res.json({
@@ -72,8 +100,16 @@ router.post('/register', async (req, res) => {
         message: 'Please provide all required fields'
       });
     }
+    const phoneError = kycError('mobile', phone);
+    if (phoneError) {
+      return res.status(400).json({
+        success: false,
+        message: phoneError,
+        errors: { phone: phoneError }
+      });
+    }
 
-    // Check if user exists
+    // Check if user exists (phone is normalized to +91XXXXXXXXXX by the model)
     const userExists = await User.findOne({ $or: [{ email }, { phone }] });
     if (userExists) {
       return res.status(400).json({
@@ -91,12 +127,13 @@ router.post('/register', async (req, res) => {
     });
 
     // Generate token
-    const token = generateToken(newUser._id);
+    const { token, refreshToken } = await startSession(newUser, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: newUser._id,
         name: newUser.name,
@@ -116,7 +153,7 @@ router.post('/register', async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -128,15 +165,32 @@ router.post('/login', async (req, res) => {
     }
 
     // Find user and include password
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email }).select('+password +failedLoginAttempts +lockUntil');
+
+    if (user?.lockUntil > new Date()) {
+      const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+      return sendTooManyRequests(res, retryAfter,
+        `Too many failed logins. Your account is locked for ${Math.ceil(retryAfter / 60)} more minute(s), or reset your password.`);
+    }
 
     if (!user || !(await user.comparePassword(password))) {
+      if (user) {
+        const { maxFailures, minutes } = loginLockout();
+        const failures = (user.failedLoginAttempts || 0) + 1;
+        await User.updateOne({ _id: user._id }, failures >= maxFailures
+          ? { $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + minutes * 60 * 1000) } }
+          : { $set: { failedLoginAttempts: failures } });
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    if (user.failedLoginAttempts || user.lockUntil) {
+      await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } });
+    }
+
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
@@ -144,12 +198,13 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await startSession(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -169,7 +224,7 @@ router.post('/login', async (req, res) => {
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset OTP to user's email
 // @access  Public
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', otpSendLimit, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -249,7 +304,7 @@ router.post('/forgot-password', async (req, res) => {
 // @route   POST /api/auth/reset-password
 // @desc    Reset password using email + OTP
 // @access  Public
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', otpVerifyLimit, async (req, res) => {
   try {
     const { email, otp, newPassword } = req.body;
 
@@ -262,7 +317,7 @@ router.post('/reset-password', async (req, res) => {
 
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user || !user.otp) {
+    if (!user || !user.otp?.code) {
       return res.status(400).json({
         success: false,
         message: 'Invalid OTP or user not found',
@@ -273,9 +328,10 @@ router.post('/reset-password', async (req, res) => {
       user.otp.purpose !== 'password_reset' ||
       user.otp.code !== otp
     ) {
+      const exhausted = await recordWrongUserOtp(user);
       return res.status(400).json({
         success: false,
-        message: 'Invalid OTP',
+        message: exhausted ? 'Too many incorrect attempts. Please request a new OTP.' : 'Invalid OTP',
       });
     }
 
@@ -286,11 +342,16 @@ router.post('/reset-password', async (req, res) => {
       });
     }
 
-    // Set new password and clear OTP
+    // Set new password, clear OTP and lift any login lockout
     user.password = newPassword;
     user.otp = undefined;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
     await user.save();
 
+    // Sign out every device, including any that used the old password
+    await revokeSessions({ userId: user._id }, 'password_reset');
+
     return res.json({
       success: true,
       message: 'Password has been reset successfully. You can now log in.',
@@ -304,13 +365,236 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// Passwordless login. Login OTPs live in the OTP collection (purpose 'login'), are single-use
+// and are the only OTPs that sign anyone in. Unregistered emails and phones get an account on
+// first login only when AdminSettings.authentication.otpSignup is on.
+
+const otpSignupAllowed = async () => {
+  const settings = await AdminSettings.findOne().select('authentication.otpSignup').lean();
+  return !!settings?.authentication?.otpSignup;
+};
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+// { email } or { phone } as stored, or { error } when either is malformed
+const loginContact = ({ email, phone }) => {
+  if (email) {
+    const address = String(email).trim().toLowerCase();
+    return EMAIL_PATTERN.test(address) ? { email: address } : { error: 'Please provide a valid email address' };
+  }
+  const error = kycError('mobile', phone);
+  return error ? { error } : { phone: toE164Mobile(phone) };
+};
+
+const sendLoginOtp = async (req, res, otp, expiresAt) => {
+  const { error, ...contact } = loginContact(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+      errors: { [req.body.email ? 'email' : 'phone']: error }
+    });
+  }
+
+  // The reply is the same whether or not an account exists; that is only revealed once the
+  // OTP is verified. Unknown (with signup off) and deactivated accounts get no OTP.
+  const sentReply = {
+    success: true,
+    message: `If you can sign in with this ${contact.phone ? 'mobile number' : 'email address'}, an OTP has been sent to it`,
+    otpExpiresIn: 600 // 10 minutes in seconds
+  };
+  const user = await User.findOne(contact);
+  if (user ? !user.isActive : !(await otpSignupAllowed())) {
+    return res.json(sentReply);
+  }
+
+  await OTP.deleteMany({ ...contact, purpose: 'login' });
+  const otpRecord = await OTP.create({ ...contact, code: otp, purpose: 'login', expiresAt, userId: user?._id });
+
+  if (contact.phone) {
+    otpRecord.delivery = await sendOTPSMS(contact.phone, otp, 'login');
+  } else {
+    let emailResult;
+    try {
+      emailResult = await sendOTPEmail(contact.email, otp, 'login');
+    } catch (err) {
+      emailResult = { success: false, error: err.message };
+    }
+    otpRecord.delivery = {
+      channel: 'email',
+      provider: 'smtp',
+      status: emailResult.success ? 'sent' : 'failed',
+      error: emailResult.error,
+      attemptedAt: new Date()
+    };
+  }
+  await otpRecord.save();
+
+  // A failed send gets the same reply too, or it would tell callers the account exists
+  if (otpRecord.delivery.status === 'failed') {
+    console.error(`[OTP] Login OTP delivery by ${otpRecord.delivery.channel} failed:`, otpRecord.delivery.error);
+  }
+
+  return res.json({
+    ...sentReply,
+    ...(process.env.NODE_ENV !== 'production' && { devOtp: otp })
+  });
+};
+
+// A new account needs a name plus whichever of email and phone the OTP didn't go to
+const signupDetailsError = async (contact, { name, email, phone }) => {
+  const errors = {};
+  if (!name || !String(name).trim()) errors.name = 'Please provide your name';
+  if (contact.phone) {
+    if (!email) errors.email = 'Please provide your email address';
+    else if (!EMAIL_PATTERN.test(String(email).trim())) errors.email = 'Please provide a valid email address';
+    else if (await User.exists({ email: String(email).trim().toLowerCase() })) errors.email = 'This email is already registered';
+  } else {
+    const phoneError = phone ? kycError('mobile', phone) : 'Please provide a mobile number';
+    if (phoneError) errors.phone = phoneError;
+    else if (await User.exists({ phone })) errors.phone = 'This mobile number is already registered';
+  }
+  return Object.keys(errors).length ? errors : null;
+};
+
+const verifyLoginOtp = async (req, res) => {
+  const { error, ...contact } = loginContact(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+      errors: { [req.body.email ? 'email' : 'phone']: error }
+    });
+  }
+
+  const otpRecord = await OTP.findOne({ ...contact, purpose: 'login', verified: false });
+  if (!otpRecord) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid OTP or OTP not found'
+    });
+  }
+  if (new Date() > otpRecord.expiresAt) {
+    await otpRecord.deleteOne();
+    return res.status(400).json({
+      success: false,
+      message: 'OTP has expired'
+    });
+  }
+  if (otpRecord.code !== String(req.body.otp)) {
+    otpRecord.attempts += 1;
+    if (otpRecord.attempts >= OTP_MAX_ATTEMPTS) {
+      await otpRecord.deleteOne();
+      return res.status(400).json({
+        success: false,
+        message: 'Too many incorrect attempts. Please request a new OTP.'
+      });
+    }
+    await otpRecord.save();
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid OTP'
+    });
+  }
+
+  let user = await User.findOne(otpRecord.userId ? { _id: otpRecord.userId } : contact);
+  const isNewUser = !user;
+  if (isNewUser) {
+    if (!(await otpSignupAllowed())) {
+      return res.status(404).json({
+        success: false,
+        code: 'ACCOUNT_NOT_FOUND',
+        message: 'No account found. Please register first.'
+      });
+    }
+    // The OTP stays valid so the client can resend it with the missing details
+    const errors = await signupDetailsError(contact, req.body);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        code: 'SIGNUP_DETAILS_REQUIRED',
+        message: 'Please complete your details to create your account',
+        errors
+      });
+    }
+  }
+
+  // Single use: whoever deletes it first gets the session
+  const { deletedCount } = await OTP.deleteOne({ _id: otpRecord._id });
+  if (!deletedCount) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid OTP or OTP not found'
+    });
+  }
+
+  if (isNewUser) {
+    // Only the contact the OTP went to is verified; the other one is taken on trust
+    try {
+      user = await User.create({
+        name: String(req.body.name).trim(),
+        email: contact.email || req.body.email,
+        phone: contact.phone || req.body.phone,
+        isVerified: {
+          email: !!contact.email,
+          phone: !!contact.phone
+        }
+      });
+    } catch (createError) {
+      // Someone registered the same email or phone in the meantime
+      if (createError.code !== 11000) throw createError;
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email or phone'
+      });
+    }
+  } else {
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+    const verifiedPath = contact.phone ? 'isVerified.phone' : 'isVerified.email';
+    if (!user.get(verifiedPath)) {
+      user.set(verifiedPath, true);
+      await user.save();
+    }
+  }
+
+  const { token, refreshToken } = await startSession(user, req);
+
+  res.status(isNewUser ? 201 : 200).json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    isNewUser,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      role: user.role
+    }
+  });
+};
+
 // @route   POST /api/auth/send-otp
 // @desc    Send OTP for email/phone verification or login
 // @access  Public
-router.post('/send-otp', async (req, res) => {
+router.post('/send-otp', otpSendLimit, async (req, res) => {
   try {
-    // Early SMTP auth check only if we will send an email
     const { email, phone, purpose } = req.body;
+    const otp = generateOTP();
+    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+
+    // Login answers the same way whatever happens to delivery, so it skips the SMTP check
+    if (purpose === 'login') {
+      return sendLoginOtp(req, res, otp, expiresAt);
+    }
+
+    // Early SMTP auth check only if we will send an email
     if (email) {
       const pre = smtpPreflight();
       if (!pre.ok) {
@@ -324,14 +608,11 @@ router.post('/send-otp', async (req, res) => {
       }
     }
 
-    const otp = generateOTP();
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
     // For application purpose, store OTP in temporary OTP collection
     if (purpose === 'application') {
       if (email) {
         // Delete any existing OTP for this email
-        await OTP.deleteMany({ email, purpose: 'application' });
+        await OTP.deleteMany({ email, purpose: 'application', action: { $exists: false } });
         
         // Create new OTP record
         await OTP.create({
@@ -378,28 +659,40 @@ router.post('/send-otp', async (req, res) => {
           ...(process.env.NODE_ENV !== 'production' && { devOtp: otp })
         });
       } else if (phone) {
+        const phoneError = kycError('mobile', phone);
+        if (phoneError) {
+          return res.status(400).json({
+            success: false,
+            message: phoneError,
+            errors: { phone: phoneError }
+          });
+        }
+
         // Delete any existing OTP for this phone
-        await OTP.deleteMany({ phone, purpose: 'application' });
+        await OTP.deleteMany({ phone, purpose: 'application', action: { $exists: false } });
         
         // Create new OTP record
-        await OTP.create({
+        const otpRecord = await OTP.create({
           phone,
           code: otp,
           purpose: 'application',
           expiresAt
         });
 
-        // TODO: Send OTP via SMS
-        console.log(`\n========================================`);
-        console.log(`📱 OTP SENT FOR APPLICATION`);
-        console.log(`Phone: ${phone}`);
-        console.log(`OTP Code: ${otp}`);
-        console.log(`Expires at: ${expiresAt}`);
-        console.log(`========================================\n`);
+        otpRecord.delivery = await sendOTPSMS(phone, otp, 'application');
+        await otpRecord.save();
+
+        if (otpRecord.delivery.status === 'failed') {
+          return res.status(500).json({
+            success: false,
+            message: 'Failed to send OTP SMS. Please try again.',
+            ...(process.env.NODE_ENV !== 'production' && { devOtp: otp, smsError: otpRecord.delivery.error })
+          });
+        }
 
         return res.json({
           success: true,
-          message: 'OTP sent successfully',
+          message: 'OTP sent successfully to your mobile number',
           otpExpiresIn: 600, // 10 minutes in seconds
           // In development, return OTP (remove in production)
           ...(process.env.NODE_ENV !== 'production' && { devOtp: otp })
@@ -416,7 +709,7 @@ router.post('/send-otp', async (req, res) => {
     let user;
     if (email) {
       user = await User.findOne({ email });
-      if (!user && purpose !== 'login') {
+      if (!user) {
         return res.status(404).json({
           success: false,
           message: 'User not found'
@@ -426,7 +719,7 @@ router.post('/send-otp', async (req, res) => {
 
     if (phone && !email) {
       user = await User.findOne({ phone });
-      if (!user && purpose !== 'login') {
+      if (!user) {
         return res.status(404).json({
           success: false,
           message: 'User not found'
@@ -501,9 +794,18 @@ router.post('/send-otp', async (req, res) => {
       }
     }
 
-    // TODO: Send OTP via SMS if phone is provided
-    if (phone && !email) {
-      console.log(`OTP for ${phone}: ${otp}`); // For development - remove in production
+    // Phone-only requests are texted, but only to registered numbers
+    if (phone && !email && user) {
+      user.otp.delivery = await sendOTPSMS(user.phone, otp, purpose || 'verification');
+      await user.save();
+
+      if (user.otp.delivery.status === 'failed') {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to send OTP SMS. Please try again.',
+          ...(process.env.NODE_ENV !== 'production' && { devOtp: otp, smsError: user.otp.delivery.error })
+        });
+      }
     }
 
     return res.json({
@@ -522,9 +824,10 @@ router.post('/send-otp', async (req, res) => {
 });
 
 // @route   POST /api/auth/verify-otp
-// @desc    Verify OTP
+// @desc    Verify OTP. A login OTP (purpose 'login') signs the user in and returns a session;
+//          other OTPs only mark the email or phone as verified.
 // @access  Public
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', otpVerifyLimit, async (req, res) => {
   try {
     const { email, phone, otp, purpose } = req.body;
 
@@ -535,9 +838,14 @@ router.post('/verify-otp', async (req, res) => {
       });
     }
 
+    if (purpose === 'login') {
+      return verifyLoginOtp(req, res);
+    }
+
     // For application purpose, verify from temporary OTP collection
     if (purpose === 'application') {
-      let query = { purpose: 'application', verified: false };
+      // OTPs issued for a specific action (e.g. signing loan terms) are only usable there
+      let query = { purpose: 'application', verified: false, action: { $exists: false } };
       if (email) {
         query.email = email;
       } else if (phone) {
@@ -569,6 +877,15 @@ router.post('/verify-otp', async (req, res) => {
 
       // Check if OTP matches
       if (otpRecord.code !== otp) {
+        otpRecord.attempts += 1;
+        if (otpRecord.attempts >= OTP_MAX_ATTEMPTS) {
+          await otpRecord.deleteOne();
+          return res.status(400).json({
+            success: false,
+            message: 'Too many incorrect attempts. Please request a new OTP.'
+          });
+        }
+        await otpRecord.save();
         return res.status(400).json({
           success: false,
           message: 'Invalid OTP'
@@ -594,7 +911,7 @@ router.post('/verify-otp', async (req, res) => {
 
     const user = await User.findOne(query);
 
-    if (!user || !user.otp) {
+    if (!user || !user.otp?.code) {
       return res.status(400).json({
         success: false,
         message: 'Invalid OTP or OTP not found'
@@ -611,9 +928,10 @@ router.post('/verify-otp', async (req, res) => {
 
     // Check if OTP matches
     if (user.otp.code !== otp) {
+      const exhausted = await recordWrongUserOtp(user);
       return res.status(400).json({
         success: false,
-        message: 'Invalid OTP'
+        message: exhausted ? 'Too many incorrect attempts. Please request a new OTP.' : 'Invalid OTP'
       });
     }
 
@@ -625,16 +943,13 @@ router.post('/verify-otp', async (req, res) => {
       user.isVerified.phone = true;
     }
 
-    // Clear OTP
+    // Clear OTP. Only login OTPs sign the user in; this confirms the contact detail.
     user.otp = undefined;
     await user.save();
 
-    const token = generateToken(user._id);
-
     res.json({
       success: true,
       message: 'OTP verified successfully',
-      token,
       user: {
         id: user._id,
         name: user.name,
@@ -651,36 +966,114 @@ router.post('/verify-otp', async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/firebase-login
-// @desc    Login with Firebase
-// @access  Public
-router.post('/firebase-login', async (req, res) => {
-  try {
-    const { idToken, email, name } = req.body;
+// Firebase sign-in is accepted only when the admin has enabled it
+const firebaseEnabled = async () => {
+  const settings = await AdminSettings.findOne().select('authentication.method').lean();
+  return ['firebase', 'both'].includes(settings?.authentication?.method);
+};
+
+// Verifies req.body.idToken and returns its claims. On failure sends the error response
+// and returns null.
+const verifiedFirebaseClaims = async (req, res) => {
+  if (!(await firebaseEnabled())) {
+    res.status(403).json({
+      success: false,
+      message: 'Firebase sign-in is not enabled'
+    });
+    return null;
+  }
 
-    if (!idToken || !email) {
-      return res.status(400).json({
+  const { idToken } = req.body;
+  if (!idToken) {
+    res.status(400).json({
+      success: false,
+      message: 'Please provide Firebase ID token'
+    });
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = await verifyFirebaseIdToken(idToken, await getFirebaseProjectId());
+  } catch (error) {
+    if (error.code !== INVALID_TOKEN) {
+      console.error('Firebase token verification unavailable:', error.message);
+      res.status(503).json({
+        success: false,
+        message: 'Firebase sign-in is temporarily unavailable'
+      });
+    } else {
+      res.status(401).json({
         success: false,
-        message: 'Please provide Firebase ID token and email'
+        message: error.message
       });
     }
+    return null;
+  }
+
+  if (!claims.email || claims.email_verified !== true) {
+    res.status(403).json({
+      success: false,
+      message: 'Please verify your email address with Firebase before signing in'
+    });
+    return null;
+  }
+  return claims;
+};
 
-    // Verify Firebase token (in production, verify with Firebase Admin SDK)
-    // For now, we'll trust the token and find or create user
-    let user = await User.findOne({ email });
+// @route   POST /api/auth/firebase-login
+// @desc    Login with a Firebase ID token. The account is found by Firebase uid; a new one is
+//          created from the token's verified email. An existing password account with that
+//          email must be linked first (POST /api/auth/firebase-link).
+// @access  Public
+router.post('/firebase-login', async (req, res) => {
+  try {
+    const claims = await verifiedFirebaseClaims(req, res);
+    if (!claims) return;
+
+    let user = await User.findOne({ firebaseUid: claims.uid });
+    let isNewUser = false;
 
     if (!user) {
-      // Create new user if doesn't exist
+      const email = claims.email.toLowerCase();
+      if (await User.exists({ email })) {
+        return res.status(409).json({
+          success: false,
+          code: 'FIREBASE_LINK_REQUIRED',
+          message: 'An account with this email already exists. Sign in with your password and link Firebase sign-in from your account.'
+        });
+      }
+
+      // Firebase phone sign-in supplies a verified number; otherwise ask the client for one
+      const phone = claims.phone_number || req.body.phone;
+      const phoneError = phone ? kycError('mobile', phone) : 'Please provide a mobile number';
+      if (phoneError) {
+        return res.status(400).json({
+          success: false,
+          code: 'PHONE_REQUIRED',
+          message: phoneError,
+          errors: { phone: phoneError }
+        });
+      }
+      if (await User.exists({ phone })) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this phone',
+          errors: { phone: 'This mobile number is already registered' }
+        });
+      }
+
       user = await User.create({
-        name: name || email.split('@')[0],
+        name: claims.name || req.body.name || email.split('@')[0],
         email,
-        phone: '', // Firebase users might not have phone
-        password: '', // No password for Firebase users
+        phone,
+        firebaseUid: claims.uid,
         isVerified: {
           email: true,
-          phone: false
+          phone: !!claims.phone_number
         }
       });
+      isNewUser = true;
     }
 
     if (!user.isActive) {
@@ -690,12 +1083,14 @@ router.post('/firebase-login', async (req, res) => {
       });
     }
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await startSession(user, req);
 
-    res.json({
+    res.status(isNewUser ? 201 : 200).json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      isNewUser,
       user: {
         id: user._id,
         name: user.name,
@@ -712,6 +1107,190 @@ router.post('/firebase-login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/firebase-link
+// @desc    Link Firebase sign-in to the signed-in account. The ID token's verified email
+//          must be the account's email.
+// @access  Private
+router.post('/firebase-link', protect, async (req, res) => {
+  try {
+    const claims = await verifiedFirebaseClaims(req, res);
+    if (!claims) return;
+
+    const user = await User.findById(req.user._id);
+    if (claims.email.toLowerCase() !== user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'The Firebase account email does not match your account email'
+      });
+    }
+    if (user.firebaseUid && user.firebaseUid !== claims.uid) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your account is already linked to a different Firebase account'
+      });
+    }
+    if (await User.exists({ firebaseUid: claims.uid, _id: { $ne: user._id } })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This Firebase account is already linked to another user'
+      });
+    }
+
+    user.firebaseUid = claims.uid;
+    user.isVerified.email = true;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Firebase sign-in linked to your account'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide refresh token'
+      });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+    if (!result || result.reused) {
+      return res.status(401).json({
+        success: false,
+        code: result?.reused ? 'REFRESH_TOKEN_REUSED' : undefined,
+        message: result?.reused
+          ? 'This refresh token was already used. The session has been signed out for your security.'
+          : 'Session has expired or was signed out'
+      });
+    }
+
+    const user = await User.findById(result.session.userId);
+    if (!user || !user.isActive) {
+      await revokeSessions({ _id: result.session._id }, 'revoked');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Sign out the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.sessionId }, 'logout');
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Sign out every session of the current user, this one included
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const count = await revokeSessions({ userId: req.user._id }, 'logout_all');
+    res.json({
+      success: true,
+      message: `Logged out of ${count} session${count === 1 ? '' : 's'}`,
+      count
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const count = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await revokeSessions({ _id: req.params.id, userId: req.user._id }, 'revoked')
+      : 0;
+    if (!count) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
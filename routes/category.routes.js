@@ -40,7 +40,7 @@ router.post('/', protect, uploadImage.single('image'), handleMulterError, async
     console.log('Request file:', req.file ? { filename: req.file.filename, size: req.file.size } : 'No file');
     console.log('Request body:', req.body);
     
-    const { name, description } = req.body;
+    const { name, description, code } = req.body;
     
     // Validate name - check if it exists and is not just whitespace
     if (!name || !name.trim()) {
@@ -59,6 +59,7 @@ router.post('/', protect, uploadImage.single('image'), handleMulterError, async
     const cat = await LoanCategory.create({ 
       name: name.trim(), 
       description: description ? description.trim() : undefined,
+      code: code ? code.trim() : undefined,
       image: imageUrl
     });
     
@@ -119,7 +120,7 @@ router.put('/:id', protect, uploadImage.single('image'), handleMulterError, asyn
     console.log('Update request file:', req.file ? { filename: req.file.filename, size: req.file.size } : 'No file');
     console.log('Update request body:', req.body);
     
-    const { name, description, active } = req.body;
+    const { name, description, code, active } = req.body;
     const cat = await LoanCategory.findById(req.params.id);
     if (!cat) return res.status(404).json({ success: false, message: 'Not found' });
     
@@ -137,6 +138,11 @@ router.put('/:id', protect, uploadImage.single('image'), handleMulterError, asyn
       cat.description = description.trim() || undefined;
     }
     
+    // Update application number code
+    if (code !== undefined) {
+      cat.code = code.trim() || undefined;
+    }
+    
     // Update active status
     if (active !== undefined) cat.active = active;
     
@@ -0,0 +1,70 @@
+import express from 'express';
+import path from 'path';
+import Application from '../models/Application.model.js';
+import { verifyDocumentToken, readDocument } from '../utils/documentStorage.js';
+
+const router = express.Router();
+
+const contentTypes = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// @route   GET /api/documents/:token
+// @desc    Download an application document through a signed URL
+//          (issued by GET /api/applications/:id/documents/:docId/url or
+//          GET /api/applications/:id/loan-documents/:kind/url)
+// @access  Signed URL
+router.get('/:token', async (req, res) => {
+  try {
+    const payload = verifyDocumentToken(req.params.token);
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    const application = await Application.findById(payload.app).select('documents generatedDocuments');
+    const document = application?.documents.id(payload.doc) || application?.generatedDocuments.id(payload.doc);
+    if (!document || document.storageKey !== payload.key) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await readDocument(document);
+    } catch (error) {
+      console.error('Error reading document from storage:', error);
+      return res.status(404).json({
+        success: false,
+        message: 'Document file not found'
+      });
+    }
+
+    const ext = path.extname(document.name || document.storageKey).toLowerCase();
+    res.setHeader('Content-Type', document.mimeType || contentTypes[ext] || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(document.name || document.storageKey)}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    stream.on('error', (error) => {
+      console.error('Error streaming document:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,170 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import DocumentTemplate, { TEMPLATE_KINDS } from '../models/DocumentTemplate.model.js';
+import Application from '../models/Application.model.js';
+import Loan from '../models/Loan.model.js';
+import AdminSettings from '../models/AdminSettings.model.js';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import {
+  TEMPLATE_PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  getTemplate,
+  loanTerms,
+  placeholderValues,
+  renderLoanDocumentPdf
+} from '../utils/loanDocuments.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('admin'));
+
+function checkKind(req, res) {
+  if (!TEMPLATE_KINDS.includes(req.params.kind)) {
+    res.status(404).json({
+      success: false,
+      message: `Template kind must be one of: ${TEMPLATE_KINDS.join(', ')}`
+    });
+    return false;
+  }
+  return true;
+}
+
+// @route   GET /api/document-templates
+// @desc    Get the sanction letter and loan agreement templates and the placeholders they can use
+// @access  Private/Admin
+router.get('/', async (req, res) => {
+  try {
+    const templates = await Promise.all(TEMPLATE_KINDS.map(getTemplate));
+    res.json({
+      success: true,
+      data: {
+        templates,
+        placeholders: TEMPLATE_PLACEHOLDERS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/document-templates/:kind
+// @desc    Get one template (the built-in default if it was never edited)
+// @access  Private/Admin
+router.get('/:kind', async (req, res) => {
+  if (!checkKind(req, res)) return;
+  try {
+    res.json({
+      success: true,
+      data: await getTemplate(req.params.kind)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/document-templates/:kind
+// @desc    Save a template; each save increments its version
+// @access  Private/Admin
+router.put('/:kind', async (req, res) => {
+  if (!checkKind(req, res)) return;
+  try {
+    const { title, body } = req.body;
+    if (!title?.trim() || !body?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title and body are required'
+      });
+    }
+
+    const template = await DocumentTemplate.findOneAndUpdate(
+      { kind: req.params.kind },
+      { title: title.trim(), body, updatedBy: req.user._id, $inc: { version: 1 } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: false }
+    );
+
+    res.json({
+      success: true,
+      message: 'Template saved',
+      data: template
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/document-templates/:kind
+// @desc    Discard the edited template and go back to the built-in default
+// @access  Private/Admin
+router.delete('/:kind', async (req, res) => {
+  if (!checkKind(req, res)) return;
+  try {
+    await DocumentTemplate.deleteOne({ kind: req.params.kind });
+    res.json({
+      success: true,
+      message: 'Template reset to default',
+      data: { kind: req.params.kind, ...DEFAULT_TEMPLATES[req.params.kind], version: 0, isDefault: true }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/document-templates/:kind/preview
+// @desc    Render a PDF preview for an application, optionally with an unsaved title/body
+// @access  Private/Admin
+router.post('/:kind/preview', async (req, res) => {
+  if (!checkKind(req, res)) return;
+  try {
+    const { applicationId, title, body } = req.body;
+    if (!applicationId || !mongoose.Types.ObjectId.isValid(applicationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid applicationId required'
+      });
+    }
+
+    const application = await Application.findById(applicationId);
+    if (!application || application.status === 'Draft') {
+      return res.status(404).json({
+        success: false,
+        message: 'Submitted application not found'
+      });
+    }
+
+    const template = await getTemplate(req.params.kind);
+    const loan = await Loan.findById(application.loanId);
+    const settings = await AdminSettings.findOne().sort({ createdAt: -1 });
+    const terms = loanTerms(application);
+    const pdf = await renderLoanDocumentPdf({
+      title: title || template.title,
+      body: body || template.body,
+      values: placeholderValues({ application, loan, settings, terms }),
+      schedule: terms.schedule,
+      settings
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${req.params.kind}-preview.pdf"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -1,102 +1,51 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Eligibility from '../models/Eligibility.model.js';
-import { protect, authorize } from '../middleware/auth.middleware.js';
+import Loan from '../models/Loan.model.js';
+import Application from '../models/Application.model.js';
+import EligibilityRuleSet from '../models/EligibilityRuleSet.model.js';
+import { protect, authorize, optionalAuth } from '../middleware/auth.middleware.js';
+import { evaluateEligibility, REASON_MESSAGES } from '../utils/creditDecision.js';
+import { screenForRisks, withoutRiskDetails } from '../utils/riskChecks.js';
+import { RISK_FIELDS } from '../models/riskFlag.schema.js';
+import { validateKycFields, normalizeKyc } from '../utils/kyc.js';
+import { checkServiceability } from '../utils/serviceability.js';
+import OTP from '../models/OTP.model.js';
+import { generateOTP } from '../utils/generateToken.js';
+import { sendOTPEmail } from '../utils/sendEmail.js';
+import { otpSendLimit, otpVerifyLimit } from '../utils/rateLimit.js';
+import { draftFromEligibility } from '../utils/applicationSections.js';
+import AdminSettings from '../models/AdminSettings.model.js';
+import { sendEligibilityDecisionEmail } from '../utils/eligibilityEmails.js';
 
 const router = express.Router();
 
 // IMPORTANT: Define specific routes (like /user) before parameterized routes (like /:id)
 // to avoid route matching conflicts
 
+// Anonymous submissions made with this email that nobody has claimed yet
+const unclaimedQuery = (email) => {
+  const address = String(email || '').toLowerCase().trim();
+  return {
+    userId: { $exists: false },
+    $or: [{ email: address }, { personalEmail: address }]
+  };
+};
+
+const CLAIM_OTP_TTL_MS = 10 * 60 * 1000;
+const CLAIM_OTP_MAX_ATTEMPTS = 5;
+
 // @route   GET /api/eligibility/my-status
-// @desc    Get user's eligibility checks
+// @desc    Get the eligibility checks owned by the signed-in user. `unclaimed` counts
+//          anonymous checks made with the account's email that can be claimed.
 // @access  Private
 router.get('/my-status', protect, async (req, res) => {
   try {
-    // Check if user exists after protect middleware
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not authenticated'
-      });
-    }
+    const eligibilities = await Eligibility.find({ userId: req.user._id })
+      .populate('loanId', 'name type slug _id')
+      .sort({ createdAt: -1 });
+    const unclaimed = await Eligibility.countDocuments(unclaimedQuery(req.user.email));
 
-    const userEmail = req.user.email?.toLowerCase().trim() || '';
-    const userName = req.user.name?.trim() || '';
-    
-    console.log('=== Fetching eligibility for user ===');
-    console.log('User email:', userEmail);
-    console.log('User name:', userName);
-    console.log('User ID:', req.user._id);
-    
-    // Simple and reliable search - match by email OR name
-    const searchConditions = [];
-    
-    // Email matching (exact match)
-    if (userEmail) {
-      searchConditions.push({ email: userEmail });
-      searchConditions.push({ personalEmail: userEmail });
-    }
-    
-    // Name matching (case insensitive, partial match)
-    if (userName && userName.length > 2) {
-      const escapedName = userName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      searchConditions.push({
-        name: { $regex: escapedName, $options: 'i' }
-      });
-    }
-    
-    console.log(`Searching with ${searchConditions.length} conditions...`);
-    
-    // Find eligibilities
-    let eligibilities = [];
-    if (searchConditions.length > 0) {
-      eligibilities = await Eligibility.find({ 
-        $or: searchConditions
-      })
-        .populate('loanId', 'name type slug _id')
-        .sort({ createdAt: -1 });
-    }
-
-    console.log('Found eligibilities:', eligibilities.length);
-    
-    // Log detailed information for debugging
-    eligibilities.forEach((elig, idx) => {
-      console.log(`  Eligibility ${idx + 1}:`, {
-        id: elig._id,
-        name: elig.name,
-        loanId: elig.loanId?._id || elig.loanId,
-        loanName: elig.loanId?.name,
-        status: elig.status,
-        email: elig.email,
-        personalEmail: elig.personalEmail,
-        netMonthlyIncome: elig.netMonthlyIncome,
-        employmentType: elig.employmentType,
-        createdAt: elig.createdAt,
-        updatedAt: elig.updatedAt
-      });
-    });
-    
-    // If no eligibilities found, log potential reasons
-    if (eligibilities.length === 0) {
-      console.log('⚠️ No eligibility records found for user.');
-      console.log('  - Searched for email:', userEmail);
-      console.log('  - Searched for name:', userName);
-      console.log('  - Total search conditions:', searchConditions.length);
-      
-      // Let's also check if there are ANY eligibility records in the database
-      const totalEligibilities = await Eligibility.countDocuments();
-      console.log('  - Total eligibility records in database:', totalEligibilities);
-      
-      if (totalEligibilities > 0) {
-        // Get a sample to see what emails/names exist
-        const sample = await Eligibility.find({}).limit(3).select('name email personalEmail');
-        console.log('  - Sample eligibility records:');
-        sample.forEach((s, i) => {
-          console.log(`    ${i + 1}. Name: "${s.name}", Email: "${s.email}", PersonalEmail: "${s.personalEmail}"`);
-        });
-      }
-    }
-    
     // Convert Mongoose documents to plain objects and ensure all fields are included
     const eligibilitiesWithStatus = eligibilities.map(elig => {
       const eligObj = elig.toObject ? elig.toObject() : elig;
@@ -118,18 +67,26 @@ router.get('/my-status', protect, async (req, res) => {
         city: eligObj.city,
         status: eligObj.status || 'pending',
         rejectionReason: eligObj.rejectionReason,
+        rejectionCode: eligObj.rejectionCode,
+        decision: eligObj.decision
+          ? {
+              outcome: eligObj.decision.outcome,
+              reasonCodes: eligObj.decision.reasonCodes,
+              maxAmount: eligObj.decision.maxAmount
+            }
+          : undefined,
+        reapplyAfter: eligObj.reapplyAfter,
+        applicationId: eligObj.applicationId,
         createdAt: eligObj.createdAt,
         updatedAt: eligObj.updatedAt
       };
     });
 
-    // Log final response
-    console.log(`Returning ${eligibilitiesWithStatus.length} eligibility records to client`);
-    
     res.json({
       success: true,
       data: eligibilitiesWithStatus,
       count: eligibilitiesWithStatus.length,
+      unclaimed,
       message: eligibilitiesWithStatus.length > 0 
         ? `Found ${eligibilitiesWithStatus.length} eligibility record(s)` 
         : 'No eligibility records found'
@@ -143,10 +100,130 @@ router.get('/my-status', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/eligibility/claim/otp
+// @desc    Send an OTP to the email used on anonymous eligibility checks so the signed-in
+//          user can claim them
+// @access  Private
+router.post('/claim/otp', protect, otpSendLimit, async (req, res) => {
+  try {
+    const email = String(req.body.email || '').toLowerCase().trim();
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    // Same reply whether or not the email has unclaimed checks, so this can't be used to
+    // probe addresses; the OTP is only sent when there is something to claim
+    const sentReply = {
+      success: true,
+      message: 'If this email has unclaimed eligibility checks, an OTP has been sent to it',
+      otpExpiresIn: CLAIM_OTP_TTL_MS / 1000
+    };
+    const unclaimed = await Eligibility.countDocuments(unclaimedQuery(email));
+    if (!unclaimed) {
+      return res.json(sentReply);
+    }
+
+    const otp = generateOTP();
+    await OTP.deleteMany({ userId: req.user._id, action: 'claim_eligibility' });
+    await OTP.create({
+      email,
+      code: otp,
+      purpose: 'email',
+      action: 'claim_eligibility',
+      userId: req.user._id,
+      expiresAt: new Date(Date.now() + CLAIM_OTP_TTL_MS)
+    });
+
+    const emailResult = await sendOTPEmail(email, otp, 'linking your eligibility checks to your account');
+    if (!emailResult.success && process.env.NODE_ENV === 'production') {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send OTP email'
+      });
+    }
+
+    res.json({
+      ...sentReply,
+      // In development only, return OTP for testing
+      ...(process.env.NODE_ENV !== 'production' && { devOtp: otp })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/eligibility/claim
+// @desc    Confirm the OTP and link every unclaimed eligibility check made with that email
+//          to the signed-in user
+// @access  Private
+router.post('/claim', protect, otpVerifyLimit, async (req, res) => {
+  try {
+    const { otp } = req.body;
+    const email = String(req.body.email || '').toLowerCase().trim();
+    if (!email || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and OTP are required'
+      });
+    }
+
+    const otpRecord = await OTP.findOne({
+      email,
+      userId: req.user._id,
+      action: 'claim_eligibility',
+      verified: false
+    });
+    if (!otpRecord || new Date() > otpRecord.expiresAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'OTP has expired or was not requested'
+      });
+    }
+    if (otpRecord.code !== String(otp)) {
+      otpRecord.attempts += 1;
+      if (otpRecord.attempts >= CLAIM_OTP_MAX_ATTEMPTS) {
+        await otpRecord.deleteOne();
+        return res.status(400).json({
+          success: false,
+          message: 'Too many incorrect attempts. Please request a new OTP.'
+        });
+      }
+      await otpRecord.save();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid OTP'
+      });
+    }
+    await otpRecord.deleteOne();
+
+    const { modifiedCount } = await Eligibility.updateMany(
+      unclaimedQuery(email),
+      { $set: { userId: req.user._id, claimedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `${modifiedCount} eligibility check(s) linked to your account`,
+      count: modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/eligibility
 // @desc    Submit eligibility check form
-// @access  Public
-router.post('/', async (req, res) => {
+// @access  Public (linked to the account when signed in)
+router.post('/', optionalAuth, async (req, res) => {
   try {
     const {
       name,
@@ -173,6 +250,15 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const kycErrors = validateKycFields({ pancard: ['pan', pancard], pinCode: ['pincode', pinCode] });
+    if (Object.keys(kycErrors).length) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(kycErrors).join(', '),
+        errors: kycErrors
+      });
+    }
+
     // Validate employment type specific fields
     if (employmentType === 'SALARIED' && (!companyName || !nextSalaryDate)) {
       return res.status(400).json({
@@ -181,12 +267,11 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Create eligibility record
-    const eligibility = await Eligibility.create({
+    const submission = {
       name: name.trim(),
       email: email.toLowerCase().trim(),
       loanId: loanId || null,
-      pancard: pancard.toUpperCase().trim(),
+      pancard: normalizeKyc('pan', pancard),
       dob: new Date(dob),
       gender,
       personalEmail: personalEmail.toLowerCase().trim(),
@@ -194,19 +279,73 @@ router.post('/', async (req, res) => {
       companyName: companyName?.trim() || null,
       nextSalaryDate: nextSalaryDate ? new Date(nextSalaryDate) : null,
       netMonthlyIncome: Number(netMonthlyIncome),
-      pinCode: pinCode.trim(),
+      pinCode: normalizeKyc('pincode', pinCode),
       state: state?.trim() || null,
-      city: city?.trim() || null,
-      status: 'pending'
+      city: city?.trim() || null
+    };
+
+    // Areas the loan isn't offered in are turned away before any checks are recorded
+    const loan = loanId && mongoose.Types.ObjectId.isValid(loanId) ? await Loan.findById(loanId) : null;
+    const { serviceable, location } = await checkServiceability(loan, submission.pinCode);
+    if (loan && !serviceable) {
+      return res.status(400).json({
+        success: false,
+        message: REASON_MESSAGES.PINCODE_NOT_SERVICEABLE,
+        code: 'PINCODE_NOT_SERVICEABLE',
+        errors: { pinCode: REASON_MESSAGES.PINCODE_NOT_SERVICEABLE }
+      });
+    }
+    // City and state come from the pincode directory when the pincode is listed there
+    if (location) {
+      Object.assign(submission, { city: location.city || location.district, district: location.district, state: location.state });
+    }
+
+    // Run the credit decision engine against the selected loan's criteria
+    const ruleSet = await EligibilityRuleSet.findActiveForLoan(loan);
+    const decision = evaluateEligibility(submission, loan, { loanSelected: !!loanId, ruleSet, location });
+
+    // Create eligibility record
+    const eligibility = new Eligibility({
+      ...submission,
+      userId: req.user?._id,
+      loanId: loan ? loan._id : null,
+      status: decision.status,
+      rejectionReason: decision.outcome === 'reject' ? decision.reason : null,
+      rejectionCode: decision.outcome === 'reject' ? decision.reasonCodes[0] : null,
+      decision: {
+        outcome: decision.outcome,
+        reasonCodes: decision.reasonCodes,
+        maxAmount: decision.maxAmount,
+        source: decision.source,
+        evaluatedAt: decision.evaluatedAt,
+        criteria: decision.criteria,
+        ruleSet: decision.ruleSet,
+        checks: decision.checks
+      }
     });
+    await screenForRisks(eligibility);
+    await eligibility.save();
+
+    const messages = {
+      approve: 'You are eligible for this loan',
+      reject: 'You are not eligible for this loan',
+      refer: 'Eligibility check submitted for review'
+    };
 
     res.status(201).json({
       success: true,
-      message: 'Eligibility check submitted successfully',
-      data: eligibility
+      message: messages[decision.outcome],
+      data: withoutRiskDetails(eligibility)
     });
   } catch (error) {
     console.error('Error submitting eligibility:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.fromEntries(Object.values(error.errors).map(e => [e.path, e.message]))
+      });
+    }
     res.status(500).json({
       success: false,
       message: error.message || 'Server error'
@@ -219,9 +358,20 @@ router.post('/', async (req, res) => {
 // @access  Private/Admin
 router.get('/', protect, authorize('admin'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, email, loanId } = req.query;
+    const { page = 1, limit = 10, email, loanId, status, outcome, risk } = req.query;
     const query = {};
 
+    if (status) {
+      query.status = status;
+    }
+    // e.g. ?outcome=refer lists submissions the engine routed to manual review
+    if (outcome) {
+      query['decision.outcome'] = outcome;
+    }
+    if (risk) {
+      query.riskLevel = risk;
+    }
+
     if (email) {
       query.email = email.toLowerCase().trim();
     }
@@ -231,6 +381,7 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const eligibilities = await Eligibility.find(query)
+      .select(RISK_FIELDS)
       .populate('loanId', 'name slug')
       .sort({ createdAt: -1 })
       .skip(skip)
@@ -256,8 +407,106 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @route   POST /api/eligibility/:id/start-application
+// @desc    Start a draft loan application prefilled from an approved eligibility check
+// @access  Private (owner)
+router.post('/:id/start-application', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid eligibility id'
+      });
+    }
+
+    const eligibility = await Eligibility.findById(req.params.id);
+    if (!eligibility || String(eligibility.userId) !== String(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Eligibility check not found'
+      });
+    }
+    if (eligibility.status !== 'approved') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only approved eligibility checks can be turned into an application'
+      });
+    }
+    if (eligibility.applicationId && await Application.exists({ _id: eligibility.applicationId })) {
+      return res.status(409).json({
+        success: false,
+        message: 'An application was already started from this eligibility check',
+        applicationId: eligibility.applicationId
+      });
+    }
+
+    const loan = eligibility.loanId ? await Loan.findById(eligibility.loanId) : null;
+    const application = await Application.create({
+      userId: req.user._id,
+      status: 'Draft',
+      eligibilityId: eligibility._id,
+      ...(loan && { loanId: loan._id, loanType: loan.type }),
+      ...draftFromEligibility(eligibility, req.user)
+    });
+
+    // Only one application per check, even if two requests race
+    const { modifiedCount } = await Eligibility.updateOne(
+      { _id: eligibility._id, applicationId: eligibility.applicationId ?? { $exists: false } },
+      { $set: { applicationId: application._id } }
+    );
+    if (!modifiedCount) {
+      await application.deleteOne();
+      return res.status(409).json({
+        success: false,
+        message: 'An application was already started from this eligibility check'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft application created',
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Email the applicant about an admin decision and record when it was sent
+async function notifyDecision(eligibility, settings) {
+  const result = await sendEligibilityDecisionEmail(eligibility, settings);
+  if (result.success) {
+    // A targeted update, so a legacy record that no longer validates can't fail the request
+    eligibility.decisionEmailSentAt = new Date();
+    await Eligibility.updateOne({ _id: eligibility._id }, { $set: { decisionEmailSentAt: eligibility.decisionEmailSentAt } });
+  }
+  return !!result.success;
+}
+
+// Decision fields for an admin approve/reject, so the stored decision matches the status.
+// Resolves to null when the record doesn't exist.
+async function adminDecision(eligibilityId, outcome, adminId) {
+  const current = await Eligibility.findById(eligibilityId).select('decision').lean();
+  if (!current) return null;
+  // On a second admin decision the engine's outcome is already stored
+  const engineOutcome = current.decision?.source === 'admin'
+    ? current.decision.engineOutcome
+    : current.decision?.outcome;
+  return {
+    'decision.outcome': outcome,
+    'decision.reasonCodes': outcome === 'reject' ? ['ADMIN_REJECTED'] : [],
+    'decision.source': 'admin',
+    ...(engineOutcome && { 'decision.engineOutcome': engineOutcome }),
+    'decision.decidedBy': adminId,
+    'decision.decidedAt': new Date()
+  };
+}
+
 // @route   PUT /api/eligibility/:id/approve
-// @desc    Approve eligibility check
+// @desc    Approve eligibility check and email the applicant a link to apply
 // @access  Private/Admin
 // NOTE: This must come before /:id route to avoid route conflicts
 router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
@@ -268,10 +517,14 @@ router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
     console.log('Approved by:', req.user.email, req.user.name);
     
     // Find and update eligibility
-    const eligibility = await Eligibility.findByIdAndUpdate(
+    const decision = await adminDecision(eligibilityId, 'approve', req.user._id);
+    const eligibility = decision && await Eligibility.findByIdAndUpdate(
       eligibilityId,
       { 
+        ...decision,
         status: 'approved',
+        rejectionCode: null,
+        reapplyAfter: null,
         updatedAt: new Date()
       },
       { 
@@ -295,9 +548,13 @@ router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
       email: eligibility.email
     });
 
+    const settings = await AdminSettings.findOne().sort({ createdAt: -1 });
+    const emailSent = await notifyDecision(eligibility, settings);
+
     res.json({
       success: true,
       message: 'Eligibility approved successfully',
+      emailSent,
       data: eligibility
     });
   } catch (error) {
@@ -311,7 +568,7 @@ router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   PUT /api/eligibility/:id/reject
-// @desc    Reject eligibility check
+// @desc    Reject eligibility check and email the applicant the reason and reapply date
 // @access  Private/Admin
 // NOTE: This must come before /:id route to avoid route conflicts
 router.put('/:id/reject', protect, authorize('admin'), async (req, res) => {
@@ -323,12 +580,19 @@ router.put('/:id/reject', protect, authorize('admin'), async (req, res) => {
     console.log('Eligibility ID:', eligibilityId);
     console.log('Rejection reason:', rejectionReason);
     console.log('Rejected by:', req.user.email, req.user.name);
+
+    const settings = await AdminSettings.findOne().sort({ createdAt: -1 });
+    const reapplyDays = settings?.eligibilityReapplyDays ?? 30;
     
-    const eligibility = await Eligibility.findByIdAndUpdate(
+    const decision = await adminDecision(eligibilityId, 'reject', req.user._id);
+    const eligibility = decision && await Eligibility.findByIdAndUpdate(
       eligibilityId,
       { 
+        ...decision,
         status: 'rejected',
         rejectionReason: rejectionReason || null,
+        rejectionCode: null,
+        reapplyAfter: new Date(Date.now() + reapplyDays * 24 * 60 * 60 * 1000),
         updatedAt: new Date()
       },
       { 
@@ -344,9 +608,12 @@ router.put('/:id/reject', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    const emailSent = await notifyDecision(eligibility, settings);
+
     res.json({
       success: true,
       message: 'Eligibility rejected successfully',
+      emailSent,
       data: eligibility
     });
   } catch (error) {
@@ -365,6 +632,7 @@ router.put('/:id/reject', protect, authorize('admin'), async (req, res) => {
 router.get('/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const eligibility = await Eligibility.findById(req.params.id)
+      .select(RISK_FIELDS)
       .populate('loanId', 'name slug');
 
     if (!eligibility) {
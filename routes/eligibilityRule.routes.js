@@ -0,0 +1,303 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import EligibilityRuleSet from '../models/EligibilityRuleSet.model.js';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { RULE_FACTS, RULE_OPERATORS, RULE_OUTCOMES } from '../utils/creditDecision.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('admin'));
+
+const EDITABLE_FIELDS = ['name', 'notes', 'companyTiers', 'rules'];
+
+function saveFailed(res, error) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Rule set validation failed',
+      errors: Object.fromEntries(Object.values(error.errors).map(e => [e.path, e.message]))
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Another version was created at the same time, please retry'
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message: error.message || 'Server error'
+  });
+}
+
+async function loadRuleSet(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid rule set id' });
+    return null;
+  }
+  const ruleSet = await EligibilityRuleSet.findById(req.params.id);
+  if (!ruleSet) {
+    res.status(404).json({ success: false, message: 'Rule set not found' });
+    return null;
+  }
+  return ruleSet;
+}
+
+// @route   GET /api/eligibility-rules/options
+// @desc    Facts, operators and outcomes available to the rule builder
+// @access  Private/Admin
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      facts: RULE_FACTS,
+      operators: RULE_OPERATORS,
+      outcomes: RULE_OUTCOMES
+    }
+  });
+});
+
+// @route   GET /api/eligibility-rules
+// @desc    List rule set versions, optionally for one loan or category
+// @access  Private/Admin
+router.get('/', async (req, res) => {
+  try {
+    const { loanId, categoryId, status } = req.query;
+    const query = {};
+    if (loanId) query.loanId = loanId;
+    if (categoryId) query.categoryId = categoryId;
+    if (status) query.status = status;
+
+    const ruleSets = await EligibilityRuleSet.find(query)
+      .populate('loanId', 'name slug')
+      .populate('categoryId', 'name slug')
+      .sort({ updatedAt: -1, version: -1 });
+
+    res.json({
+      success: true,
+      count: ruleSets.length,
+      data: ruleSets
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/eligibility-rules/:id
+// @desc    Get one rule set version
+// @access  Private/Admin
+router.get('/:id', async (req, res) => {
+  try {
+    const ruleSet = await loadRuleSet(req, res);
+    if (!ruleSet) return;
+    await ruleSet.populate([
+      { path: 'loanId', select: 'name slug' },
+      { path: 'categoryId', select: 'name slug' },
+      { path: 'createdBy', select: 'name email' },
+      { path: 'activatedBy', select: 'name email' }
+    ]);
+
+    res.json({
+      success: true,
+      data: ruleSet
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/eligibility-rules
+// @desc    Create a new draft version for a loan or category. Pass copyFrom (a rule set id)
+//          to start from an existing version.
+// @access  Private/Admin
+router.post('/', async (req, res) => {
+  try {
+    const { loanId, categoryId, copyFrom } = req.body;
+
+    if (!loanId && !categoryId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either loanId or categoryId is required'
+      });
+    }
+    if (loanId && categoryId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot specify both loanId and categoryId'
+      });
+    }
+
+    let base = {};
+    if (copyFrom) {
+      const source = mongoose.Types.ObjectId.isValid(copyFrom) ? await EligibilityRuleSet.findById(copyFrom) : null;
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rule set to copy from not found'
+        });
+      }
+      const plain = source.toObject();
+      base = {
+        name: plain.name,
+        notes: plain.notes,
+        companyTiers: plain.companyTiers,
+        rules: plain.rules.map(({ _id, ...rule }) => rule)
+      };
+    }
+
+    const scope = loanId ? { loanId } : { categoryId };
+    const latest = await EligibilityRuleSet.findOne(scope).sort({ version: -1 }).select('version');
+
+    const data = { ...base };
+    EDITABLE_FIELDS.forEach(f => {
+      if (req.body[f] !== undefined) data[f] = req.body[f];
+    });
+
+    const ruleSet = await EligibilityRuleSet.create({
+      ...data,
+      ...scope,
+      version: (latest?.version || 0) + 1,
+      status: 'draft',
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: ruleSet
+    });
+  } catch (error) {
+    saveFailed(res, error);
+  }
+});
+
+// @route   PUT /api/eligibility-rules/:id
+// @desc    Update a draft version (active and archived versions are immutable)
+// @access  Private/Admin
+router.put('/:id', async (req, res) => {
+  try {
+    const ruleSet = await loadRuleSet(req, res);
+    if (!ruleSet) return;
+
+    if (ruleSet.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: `Version ${ruleSet.version} is ${ruleSet.status} and can't be edited. Create a new version instead.`
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(f => {
+      if (req.body[f] !== undefined) ruleSet[f] = req.body[f];
+    });
+    await ruleSet.save();
+
+    res.json({
+      success: true,
+      data: ruleSet
+    });
+  } catch (error) {
+    saveFailed(res, error);
+  }
+});
+
+// @route   POST /api/eligibility-rules/:id/activate
+// @desc    Make this version the one applied to new eligibility submissions
+// @access  Private/Admin
+router.post('/:id/activate', async (req, res) => {
+  try {
+    const ruleSet = await loadRuleSet(req, res);
+    if (!ruleSet) return;
+
+    if (ruleSet.status === 'active') {
+      return res.json({
+        success: true,
+        message: 'Rule set is already active',
+        data: ruleSet
+      });
+    }
+
+    await EligibilityRuleSet.updateMany(
+      { ...ruleSet.scope(), status: 'active' },
+      { status: 'archived', archivedAt: new Date() }
+    );
+
+    ruleSet.status = 'active';
+    ruleSet.activatedBy = req.user._id;
+    ruleSet.activatedAt = new Date();
+    ruleSet.archivedAt = undefined;
+    await ruleSet.save();
+
+    res.json({
+      success: true,
+      message: `Version ${ruleSet.version} activated`,
+      data: ruleSet
+    });
+  } catch (error) {
+    saveFailed(res, error);
+  }
+});
+
+// @route   POST /api/eligibility-rules/:id/deactivate
+// @desc    Archive the active version, leaving the loan or category without extra rules
+// @access  Private/Admin
+router.post('/:id/deactivate', async (req, res) => {
+  try {
+    const ruleSet = await loadRuleSet(req, res);
+    if (!ruleSet) return;
+
+    if (ruleSet.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only the active version can be deactivated'
+      });
+    }
+
+    ruleSet.status = 'archived';
+    ruleSet.archivedAt = new Date();
+    await ruleSet.save();
+
+    res.json({
+      success: true,
+      message: `Version ${ruleSet.version} deactivated`,
+      data: ruleSet
+    });
+  } catch (error) {
+    saveFailed(res, error);
+  }
+});
+
+// @route   DELETE /api/eligibility-rules/:id
+// @desc    Delete a draft version. Versions that were applied are kept for the audit trail.
+// @access  Private/Admin
+router.delete('/:id', async (req, res) => {
+  try {
+    const ruleSet = await loadRuleSet(req, res);
+    if (!ruleSet) return;
+
+    if (ruleSet.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only draft versions can be deleted'
+      });
+    }
+
+    await ruleSet.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Rule set deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,56 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Loan from '../models/Loan.model.js';
+import { kycError } from '../utils/kyc.js';
+import { lookupPincode, isServiceable, locationSummary } from '../utils/serviceability.js';
+
+const router = express.Router();
+
+// @route   GET /api/geo/pincode/:pin
+// @desc    Look up city, district and state for a pincode. Pass ?loanId= to also learn
+//          whether that loan is offered there.
+// @access  Public
+router.get('/pincode/:pin', async (req, res) => {
+  try {
+    const error = kycError('pincode', req.params.pin);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const location = await lookupPincode(req.params.pin);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pincode not found'
+      });
+    }
+
+    const data = locationSummary(location);
+    const { loanId } = req.query;
+    if (loanId) {
+      const loan = mongoose.Types.ObjectId.isValid(loanId) ? await Loan.findById(loanId) : null;
+      if (!loan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Loan not found'
+        });
+      }
+      data.serviceable = isServiceable(loan, location.pincode, location);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+export default router;
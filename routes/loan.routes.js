@@ -3,6 +3,10 @@ import Loan from '../models/Loan.model.js';
 import { protect } from '../middleware/auth.middleware.js';
 import { upload } from '../utils/upload.js';
 import multer from 'multer';
+import { quoteLoan } from '../utils/loanMath.js';
+import Pincode from '../models/Pincode.model.js';
+import { kycError, normalizeKyc } from '../utils/kyc.js';
+import { serviceableAreas } from '../utils/serviceability.js';
 
 const router = express.Router();
 
@@ -29,6 +33,25 @@ const uploadWithErrorHandling = (uploadMiddleware) => {
   };
 };
 
+const splitList = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+// eligibilityCriteria arrives as a JSON string in FormData requests. Serviceable pincodes
+// and districts may also be sent as comma separated lists.
+const parseEligibilityCriteria = (value) => {
+  let criteria;
+  try {
+    criteria = JSON.parse(value);
+  } catch (e) {
+    return undefined;
+  }
+  ['serviceablePincodes', 'serviceableDistricts'].forEach(f => {
+    if (typeof criteria?.[f] === 'string') {
+      criteria[f] = splitList(criteria[f]);
+    }
+  });
+  return criteria;
+};
+
 // @route   GET /api/loans
 // @desc    Get all active loans
 // @access  Public
@@ -76,6 +99,42 @@ router.get('/:slug', async (req, res) => {
   }
 });
 
+// @route   GET /api/loans/:slug/quote?amount=&tenure=&rate=
+// @desc    Price a loan: EMI, total interest, total payable, processing fee and schedule
+// @access  Public
+router.get('/:slug/quote', async (req, res) => {
+  try {
+    const loan = await Loan.findOne({ slug: req.params.slug, isActive: true });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const { amount, tenure, rate } = req.query;
+    const { errors, quote } = quoteLoan(loan, { amount, tenure, rate });
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(errors).join(', '),
+        errors
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/loans/type/:type
 // @desc    Get loans by type
 // @access  Public
@@ -219,6 +278,10 @@ router.post('/', protect, uploadWithErrorHandling(upload.any()), async (req, res
       }
     }
 
+    if (typeof loanData.eligibilityCriteria === 'string') {
+      loanData.eligibilityCriteria = parseEligibilityCriteria(loanData.eligibilityCriteria);
+    }
+
     // Convert string numbers to actual numbers (FormData sends everything as strings)
     if (typeof loanData.minLoanAmount === 'string') {
       loanData.minLoanAmount = Number(loanData.minLoanAmount) || 0;
@@ -235,6 +298,9 @@ router.post('/', protect, uploadWithErrorHandling(upload.any()), async (req, res
     if (typeof loanData.order === 'string') {
       loanData.order = Number(loanData.order) || 0;
     }
+    if (typeof loanData.processingFee === 'string') {
+      loanData.processingFee = Number(loanData.processingFee) || 0;
+    }
     if (typeof loanData.isActive === 'string') {
       loanData.isActive = loanData.isActive === 'true';
     }
@@ -363,6 +429,8 @@ router.post('/', protect, uploadWithErrorHandling(upload.any()), async (req, res
       maxLoanAmount: Number(loanData.maxLoanAmount) || 0,
       minTenure: Number(loanData.minTenure) || 0,
       maxTenure: Number(loanData.maxTenure) || 0,
+      processingFee: Number(loanData.processingFee) || 0,
+      eligibilityCriteria: loanData.eligibilityCriteria || undefined,
       user: loanData.user || req.user._id, // Fallback to req.user._id
       image: fileUrl || '',
       isActive: loanData.isActive !== false,
@@ -492,6 +560,10 @@ router.put('/:id', protect, uploadWithErrorHandling(upload.single('file')), asyn
       }
     }
 
+    if (typeof loanData.eligibilityCriteria === 'string') {
+      loanData.eligibilityCriteria = parseEligibilityCriteria(loanData.eligibilityCriteria);
+    }
+
     // Convert string numbers to actual numbers (FormData sends everything as strings)
     if (typeof loanData.minLoanAmount === 'string') {
       loanData.minLoanAmount = Number(loanData.minLoanAmount);
@@ -508,6 +580,9 @@ router.put('/:id', protect, uploadWithErrorHandling(upload.single('file')), asyn
     if (typeof loanData.order === 'string') {
       loanData.order = Number(loanData.order);
     }
+    if (typeof loanData.processingFee === 'string') {
+      loanData.processingFee = Number(loanData.processingFee);
+    }
     if (typeof loanData.isActive === 'string') {
       loanData.isActive = loanData.isActive === 'true';
     }
@@ -576,6 +651,95 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/loans/:id/serviceable-areas
+// @desc    Pincodes and districts where the loan is offered (both empty means everywhere)
+// @access  Private/Admin
+router.get('/:id/serviceable-areas', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view serviceable areas'
+      });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serviceableAreas(loan)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/loans/:id/serviceable-areas
+// @desc    Replace the loan's serviceable pincodes and/or districts (arrays or comma
+//          separated lists). Districts missing from the pincode directory are reported.
+// @access  Private/Admin
+router.put('/:id/serviceable-areas', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update serviceable areas'
+      });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const toList = v => (Array.isArray(v) ? v.map(x => String(x).trim()).filter(Boolean) : splitList(v));
+    const { pincodes, districts } = req.body;
+
+    if (pincodes !== undefined) {
+      const list = toList(pincodes);
+      const invalid = list.filter(p => kycError('pincode', p));
+      if (invalid.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid pincodes: ${invalid.join(', ')}`,
+          errors: { pincodes: kycError('pincode', invalid[0]) }
+        });
+      }
+      loan.eligibilityCriteria.serviceablePincodes = [...new Set(list.map(p => normalizeKyc('pincode', p)))];
+    }
+    if (districts !== undefined) {
+      loan.eligibilityCriteria.serviceableDistricts = [...new Set(toList(districts))];
+    }
+    await loan.save();
+
+    const known = new Set((await Pincode.distinct('district')).map(d => d.toLowerCase()));
+    const unknownDistricts = loan.eligibilityCriteria.serviceableDistricts.filter(d => !known.has(d.toLowerCase()));
+
+    res.json({
+      success: true,
+      message: 'Serviceable areas updated',
+      data: { ...serviceableAreas(loan), unknownDistricts }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 export default router;
 
 
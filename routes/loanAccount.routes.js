@@ -0,0 +1,354 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import LoanAccount, { PAYMENT_METHODS } from '../models/LoanAccount.model.js';
+import Application from '../models/Application.model.js';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { sendEmail } from '../utils/sendEmail.js';
+import { buildAmortizationSchedule, calculateEmi } from '../utils/loanMath.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Bring installment statuses up to date (e.g. Due -> Overdue) before returning an account
+async function refreshAccount(account) {
+  if (account.refreshStatuses()) {
+    await account.save();
+  }
+  return account;
+}
+
+// IMPORTANT: /my must be defined before /:id
+
+// @route   GET /api/loan-accounts/my
+// @desc    Get the logged in borrower's loan accounts
+// @access  Private
+router.get('/my', async (req, res) => {
+  try {
+    const accounts = await LoanAccount.find({ userId: req.user._id })
+      .populate('loanId', 'name type')
+      .populate('applicationId', 'applicationNumber status')
+      .sort({ createdAt: -1 });
+
+    await Promise.all(accounts.map(refreshAccount));
+
+    res.json({
+      success: true,
+      count: accounts.length,
+      data: accounts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/loan-accounts
+// @desc    Get all loan accounts
+// @access  Private/Admin
+router.get('/', authorize('admin'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+    if (status) query.status = status;
+
+    const accounts = await LoanAccount.find(query)
+      .populate('userId', 'name email phone')
+      .populate('loanId', 'name type')
+      .populate('applicationId', 'applicationNumber')
+      .sort({ createdAt: -1 });
+
+    await Promise.all(accounts.map(refreshAccount));
+
+    res.json({
+      success: true,
+      count: accounts.length,
+      data: accounts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/loan-accounts
+// @desc    Record disbursement of an approved application and open its loan account
+// @access  Private/Admin
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    const { applicationId, amount, disbursedAt, reference, mode, firstDueDate } = req.body;
+
+    if (!applicationId || !mongoose.Types.ObjectId.isValid(applicationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid applicationId required'
+      });
+    }
+    if (!reference || !String(reference).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Disbursement reference is required'
+      });
+    }
+
+    const application = await Application.findById(applicationId).populate('userId', 'name email');
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+    if (application.status !== 'Approved') {
+      return res.status(409).json({
+        success: false,
+        message: `Only approved applications can be disbursed. Current status: ${application.status}`
+      });
+    }
+
+    // Applications approved with generated loan documents must have their terms signed first
+    if (application.generatedDocuments.length && !application.termsAcceptance?.acceptedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'The applicant has not accepted the loan terms yet'
+      });
+    }
+
+    const existing = await LoanAccount.findOne({ applicationId: application._id });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'This application has already been disbursed',
+        data: existing
+      });
+    }
+
+    const { loanAmount, loanTenure, interestRate = 0 } = application.loanDetails;
+    const disbursementAmount = amount !== undefined && amount !== '' ? Number(amount) : loanAmount;
+    if (!Number.isFinite(disbursementAmount) || disbursementAmount <= 0 || disbursementAmount > loanAmount) {
+      return res.status(400).json({
+        success: false,
+        message: `Disbursement amount must be greater than 0 and at most the loan amount (${loanAmount})`
+      });
+    }
+
+    const disbursementDate = disbursedAt ? new Date(disbursedAt) : new Date();
+    if (isNaN(disbursementDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid disbursement date'
+      });
+    }
+
+    // First installment falls one month after disbursement unless an explicit date is given
+    const firstDue = firstDueDate ? new Date(firstDueDate) : undefined;
+    if (firstDue && (isNaN(firstDue.getTime()) || firstDue <= disbursementDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'First due date must be a valid date after the disbursement date'
+      });
+    }
+
+    // The borrower repays what was actually disbursed; the approved EMI only holds for the full amount
+    const emi = (disbursementAmount === loanAmount && application.loanDetails.emi) ||
+      calculateEmi(disbursementAmount, interestRate, loanTenure);
+    const installments = buildAmortizationSchedule({
+      principal: disbursementAmount,
+      annualRate: interestRate,
+      tenureMonths: loanTenure,
+      emi,
+      startDate: disbursementDate,
+      firstDueDate: firstDue
+    });
+
+    const account = await LoanAccount.create({
+      accountNumber: `LA-${application.applicationNumber || application._id}`,
+      applicationId: application._id,
+      userId: application.userId._id,
+      loanId: application.loanId,
+      principal: disbursementAmount,
+      interestRate,
+      tenure: loanTenure,
+      emi,
+      disbursement: {
+        amount: disbursementAmount,
+        date: disbursementDate,
+        reference: String(reference).trim(),
+        mode: mode || 'Bank Transfer',
+        disbursedBy: req.user._id
+      },
+      installments
+    });
+
+    application.loanAccountId = account._id;
+    await application.save();
+
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #28a745;">Loan Disbursed</h2>
+        <p style="color: #666;">Dear ${application.personalInfo.fullName},</p>
+        <p style="color: #666;">Your loan has been disbursed.</p>
+        <p style="color: #666;"><strong>Loan Account:</strong> ${account.accountNumber}</p>
+        <p style="color: #666;"><strong>Amount Disbursed:</strong> ₹${disbursementAmount.toLocaleString()}</p>
+        <p style="color: #666;"><strong>Reference:</strong> ${account.disbursement.reference}</p>
+        <p style="color: #666;"><strong>EMI:</strong> ₹${emi.toLocaleString()} for ${installments.length} months</p>
+        <p style="color: #666;"><strong>First EMI Due:</strong> ${installments[0]?.dueDate.toDateString()}</p>
+      </div>
+    `;
+    await sendEmail({
+      to: application.userId.email,
+      subject: 'Loan Disbursed',
+      html: emailHtml,
+      text: `Your loan ${account.accountNumber} has been disbursed.`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Loan disbursed successfully',
+      data: account
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/loan-accounts/:id
+// @desc    Get a loan account with its repayment schedule
+// @access  Private (owner or admin)
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan account not found'
+      });
+    }
+    const account = await LoanAccount.findById(req.params.id)
+      .populate('loanId', 'name type')
+      .populate('applicationId', 'applicationNumber status personalInfo.fullName');
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan account not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && account.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this loan account'
+      });
+    }
+
+    await refreshAccount(account);
+
+    res.json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/loan-accounts/:id/payments
+// @desc    Record a manual payment (cash, bank transfer or UPI) against a loan account
+// @access  Private/Admin
+router.post('/:id/payments', authorize('admin'), async (req, res) => {
+  try {
+    const { amount, method, reference, paidAt, remarks } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan account not found'
+      });
+    }
+    const account = await LoanAccount.findById(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan account not found'
+      });
+    }
+    if (account.status === 'Closed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Loan account is already closed'
+      });
+    }
+
+    const paymentAmount = Number(amount);
+    if (!Number.isFinite(paymentAmount) || paymentAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment amount must be greater than 0'
+      });
+    }
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`
+      });
+    }
+    if (method !== 'Cash' && (!reference || !String(reference).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: `A transaction reference is required for ${method} payments`
+      });
+    }
+
+    const paymentDate = paidAt ? new Date(paidAt) : new Date();
+    if (isNaN(paymentDate.getTime()) || paymentDate < account.disbursement.date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment date must be a valid date on or after the disbursement date'
+      });
+    }
+
+    let payment;
+    try {
+      payment = account.applyPayment({
+        amount: paymentAmount,
+        method,
+        reference: reference ? String(reference).trim() : undefined,
+        paidAt: paymentDate,
+        remarks,
+        recordedBy: req.user._id
+      });
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+    await account.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded',
+      data: {
+        payment,
+        summary: account.summary,
+        account
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -1,8 +1,11 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import User from '../models/User.model.js';
 import Application from '../models/Application.model.js';
+import LoanAccount from '../models/LoanAccount.model.js';
 import { protect } from '../middleware/auth.middleware.js';
 import { upload } from '../utils/upload.js';
+import { validateKycFields } from '../utils/kyc.js';
 
 const router = express.Router();
 
@@ -43,6 +46,20 @@ router.put('/profile', async (req, res) => {
       });
     }
 
+    const errors = validateKycFields({
+      phone: ['mobile', req.body.phone],
+      pan: ['pan', req.body.pan],
+      aadhar: ['aadhaar', req.body.aadhar],
+      'address.pincode': ['pincode', req.body.address?.pincode]
+    });
+    if (Object.keys(errors).length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       req.body,
@@ -55,6 +72,13 @@ router.put('/profile', async (req, res) => {
       data: user
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: { phone: 'This phone number is already registered' }
+      });
+    }
     res.status(500).json({
       success: false,
       message: error.message || 'Server error'
@@ -114,6 +138,132 @@ router.get('/applications/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/user/loans
+// @desc    Get user's approved loans with outstanding balances
+// @access  Private
+router.get('/loans', async (req, res) => {
+  try {
+    const applications = await Application.find({ userId: req.user._id, status: 'Approved' })
+      .populate('loanId', 'name type')
+      .sort({ approvedAt: -1 });
+
+    const accounts = await LoanAccount.find({ applicationId: { $in: applications.map(a => a._id) } });
+    const accountByApplication = {};
+    for (const account of accounts) {
+      if (account.refreshStatuses()) await account.save();
+      accountByApplication[account.applicationId.toString()] = account;
+    }
+
+    const loans = applications.map(application => {
+      const account = accountByApplication[application._id.toString()];
+      return {
+        applicationId: application._id,
+        applicationNumber: application.applicationNumber,
+        loan: application.loanId,
+        loanDetails: application.loanDetails,
+        approvedAt: application.approvedAt,
+        disbursed: !!account,
+        loanAccountId: account?._id || null,
+        accountNumber: account?.accountNumber || null,
+        status: account ? account.status : 'Awaiting Disbursement',
+        ...(account && {
+          disbursement: account.disbursement,
+          emi: account.emi,
+          summary: account.summary
+        })
+      };
+    });
+
+    res.json({
+      success: true,
+      count: loans.length,
+      data: loans
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/user/loans/:id/statement
+// @desc    Get statement (schedule and payment ledger) for one of user's loans
+// @access  Private
+router.get('/loans/:id/statement', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found or not yet disbursed'
+      });
+    }
+
+    // Accept either the application id or the loan account id
+    const account = await LoanAccount.findOne({
+      userId: req.user._id,
+      $or: [{ _id: req.params.id }, { applicationId: req.params.id }]
+    })
+      .populate('loanId', 'name type')
+      .populate('applicationId', 'applicationNumber');
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found or not yet disbursed'
+      });
+    }
+
+    if (account.refreshStatuses()) await account.save();
+
+    // Ledger: disbursement followed by payments in date order
+    const ledger = [
+      {
+        type: 'Disbursement',
+        date: account.disbursement.date,
+        amount: account.disbursement.amount,
+        reference: account.disbursement.reference,
+        method: account.disbursement.mode,
+        principalOutstandingAfter: account.principal
+      },
+      ...[...account.payments]
+        .sort((a, b) => new Date(a.paidAt) - new Date(b.paidAt))
+        .map(payment => ({
+          type: 'Payment',
+          date: payment.paidAt,
+          amount: payment.amount,
+          reference: payment.reference,
+          method: payment.method,
+          allocation: payment.allocation,
+          installments: payment.installments,
+          principalOutstandingAfter: payment.principalOutstandingAfter
+        }))
+    ];
+
+    res.json({
+      success: true,
+      data: {
+        loanAccountId: account._id,
+        accountNumber: account.accountNumber,
+        applicationNumber: account.applicationId?.applicationNumber,
+        loan: account.loanId,
+        status: account.status,
+        principal: account.principal,
+        interestRate: account.interestRate,
+        emi: account.emi,
+        summary: account.summary,
+        schedule: account.installments,
+        ledger
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 export default router;
 
 
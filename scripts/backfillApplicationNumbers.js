@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Application from '../models/Application.model.js';
+import {
+  getNumberingConfig,
+  seedCountersFromExisting,
+  nextApplicationNumber
+} from '../utils/applicationNumber.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Usage: node scripts/backfillApplicationNumbers.js [--dry-run]
+//  1. Rebuilds the Application indexes (applicationNumber becomes unique + sparse so drafts don't collide)
+//  2. Seeds the counters from numbers already issued, so no number is ever reused
+//  3. Assigns numbers, in creation order, to submitted applications that don't have one
+const backfill = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/beforesalary';
+    await mongoose.connect(mongoUri);
+    console.log('✅ MongoDB Connected');
+
+    const config = await getNumberingConfig();
+    console.log(`Numbering format: ${config.format} (prefix ${config.prefix}, padding ${config.padding})`);
+
+    if (!dryRun) {
+      await Application.syncIndexes();
+      console.log('✅ Application indexes synced');
+    }
+
+    const seeded = dryRun ? {} : await seedCountersFromExisting(config);
+    Object.entries(seeded).forEach(([key, seq]) => console.log(`  counter ${key} -> ${seq}`));
+
+    const missing = await Application.find({
+      status: { $ne: 'Draft' },
+      $or: [{ applicationNumber: { $exists: false } }, { applicationNumber: null }, { applicationNumber: '' }]
+    }).sort({ createdAt: 1 });
+    console.log(`Applications without a number: ${missing.length}`);
+
+    for (const application of missing) {
+      if (dryRun) {
+        console.log(`  would number ${application._id} (created ${application.createdAt.toISOString()})`);
+        continue;
+      }
+      const applicationNumber = await nextApplicationNumber(application, config, application.createdAt);
+      // updateOne skips the save hooks; the number is all that changes
+      await Application.updateOne({ _id: application._id }, { $set: { applicationNumber } });
+      console.log(`  ${application._id} -> ${applicationNumber}`);
+    }
+
+    console.log(`\n✅ Backfill ${dryRun ? 'dry run ' : ''}complete\n`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling application numbers:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+backfill();
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import Application from '../models/Application.model.js';
+import Eligibility from '../models/Eligibility.model.js';
+import { readDocument } from '../utils/documentStorage.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const hashStream = async (stream) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of stream) hash.update(chunk);
+  return hash.digest('hex');
+};
+
+// Usage: node scripts/backfillRiskIdentity.js
+// Fills the normalized identity and document hashes used by duplicate detection on records
+// created before it existed, so new submissions are matched against them too. Existing
+// records are not flagged themselves. Re-run it whenever the identity normalizers change.
+const backfill = async () => {
+  let applications = 0;
+  let hashed = 0;
+  let eligibilities = 0;
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/beforesalary';
+    await mongoose.connect(mongoUri);
+    console.log('✅ MongoDB Connected');
+
+    for await (const application of Application.find().cursor()) {
+      const update = { identity: application.refreshIdentity() };
+
+      for (const [index, document] of application.documents.entries()) {
+        if (document.sha256 || !document.storageKey) continue;
+        try {
+          update[`documents.${index}.sha256`] = await hashStream(await readDocument(document));
+          hashed++;
+        } catch (error) {
+          console.warn(`  ⚠️  ${application._id} ${document.type}: could not read file (${error.message})`);
+        }
+      }
+
+      // Direct update: older records may predate newer required fields
+      await Application.updateOne({ _id: application._id }, { $set: update }, { timestamps: false });
+      applications++;
+    }
+
+    for await (const eligibility of Eligibility.find().cursor()) {
+      await Eligibility.updateOne(
+        { _id: eligibility._id },
+        { $set: { identity: eligibility.refreshIdentity() } },
+        { timestamps: false }
+      );
+      eligibilities++;
+    }
+
+    console.log(`\n✅ Backfill complete: ${applications} applications (${hashed} documents hashed), ${eligibilities} eligibility checks\n`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling identities:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+backfill();
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import readline from 'readline';
+import Pincode from '../models/Pincode.model.js';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const BATCH_SIZE = 1000;
+
+// Split one CSV line, allowing quoted values that contain commas
+const parseCsvLine = (line) => {
+  const values = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"' && quoted && line[i + 1] === '"') {
+      value += '"';
+      i++;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === ',' && !quoted) {
+      values.push(value.trim());
+      value = '';
+    } else {
+      value += ch;
+    }
+  }
+  values.push(value.trim());
+  return values;
+};
+
+// India Post lists names in capitals
+const titleCase = (s) => String(s || '').toLowerCase().replace(/\b([a-z])/g, c => c.toUpperCase());
+
+// Usage: node scripts/importPincodes.js [file.csv]
+// Loads the pincode directory. The file uses the India Post "All India Pincode Directory"
+// columns (officename, pincode, district, statename; other columns are ignored), so the full
+// directory from data.gov.in can be imported as is. Without a file, the bundled sample of
+// metro pincodes in data/pincodes.sample.csv is loaded. Re-running updates existing pincodes.
+const importPincodes = async () => {
+  const file = resolve(process.argv[2] || join(__dirname, '../data/pincodes.sample.csv'));
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/beforesalary';
+    await mongoose.connect(mongoUri);
+    console.log('✅ MongoDB Connected');
+    console.log(`Importing ${file}`);
+
+    const byPincode = new Map();
+    let columns = null;
+    let skipped = 0;
+
+    for await (const line of readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      const values = parseCsvLine(line);
+      if (!columns) {
+        columns = values.map(c => c.toLowerCase().replace(/[^a-z]/g, ''));
+        continue;
+      }
+      const row = Object.fromEntries(columns.map((c, i) => [c, values[i]]));
+      const pincode = String(row.pincode || '').trim();
+      const district = row.district || row.districtname;
+      const state = row.statename || row.state;
+      if (!/^[1-9]\d{5}$/.test(pincode) || !district || !state) {
+        skipped++;
+        continue;
+      }
+
+      const entry = byPincode.get(pincode) || { pincode, areas: [], district: titleCase(district), state: titleCase(state) };
+      if (row.officename && !entry.areas.includes(row.officename)) entry.areas.push(row.officename);
+      byPincode.set(pincode, entry);
+    }
+
+    const entries = [...byPincode.values()];
+    for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+      await Pincode.bulkWrite(entries.slice(i, i + BATCH_SIZE).map(entry => ({
+        updateOne: {
+          filter: { pincode: entry.pincode },
+          update: { $set: { ...entry, city: entry.district } },
+          upsert: true
+        }
+      })));
+    }
+
+    console.log(`\n✅ Import complete: ${entries.length} pincodes, ${skipped} rows skipped\n`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error importing pincodes:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+importPincodes();
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.model.js';
+import Eligibility from '../models/Eligibility.model.js';
+import { normalizePan } from '../utils/identity.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Usage: node scripts/linkEligibilityToUsers.js [--dry-run]
+// Sets userId on eligibility checks made before they were tied to accounts. A record is
+// linked only when its email and personal email point to exactly one user and that user's
+// PAN (if set) matches. Everything else is left for the applicant to claim by email OTP.
+const link = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  let linked = 0;
+  let ambiguous = 0;
+  let unmatched = 0;
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/beforesalary';
+    await mongoose.connect(mongoUri);
+    console.log('✅ MongoDB Connected');
+
+    const usersByEmail = new Map();
+    for await (const user of User.find().select('email pan').lean().cursor()) {
+      usersByEmail.set(user.email.toLowerCase().trim(), user);
+    }
+
+    const cursor = Eligibility.find({ userId: { $exists: false } }).select('email personalEmail pancard').lean().cursor();
+    for await (const eligibility of cursor) {
+      const emails = [eligibility.email, eligibility.personalEmail].filter(Boolean).map(e => e.toLowerCase().trim());
+      const candidates = [...new Map(
+        emails.filter(e => usersByEmail.has(e)).map(e => [String(usersByEmail.get(e)._id), usersByEmail.get(e)])
+      ).values()];
+
+      if (!candidates.length) {
+        unmatched++;
+        continue;
+      }
+      const [user] = candidates;
+      if (candidates.length > 1 || (user.pan && normalizePan(user.pan) !== normalizePan(eligibility.pancard))) {
+        console.warn(`  ⚠️  ${eligibility._id}: ambiguous (${candidates.map(u => u.email).join(', ')}), left unlinked`);
+        ambiguous++;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`  would link ${eligibility._id} to ${user.email}`);
+      } else {
+        await Eligibility.updateOne({ _id: eligibility._id }, { $set: { userId: user._id } }, { timestamps: false });
+      }
+      linked++;
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Dry run complete' : 'Linking complete'}: ${linked} linked, ${ambiguous} ambiguous, ${unmatched} without a matching account\n`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error linking eligibility checks:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+link();
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import Application from '../models/Application.model.js';
+import { storeDocument } from '../utils/documentStorage.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const uploadsDir = join(__dirname, '../uploads');
+
+// Legacy documents didn't record a MIME type
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Usage: node scripts/migrateDocumentsToPrivateStorage.js [--dry-run] [--keep-files]
+// Moves application documents still stored under the public /uploads folder into the
+// private document storage and removes the public copies (unless --keep-files).
+const migrate = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const keepFiles = process.argv.includes('--keep-files');
+  let moved = 0;
+  let missing = 0;
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/beforesalary';
+    await mongoose.connect(mongoUri);
+    console.log('✅ MongoDB Connected');
+
+    const cursor = Application.find({ 'documents.url': /^\/uploads\// }).cursor();
+
+    for await (const application of cursor) {
+      const publicFiles = [];
+
+      for (const document of application.documents) {
+        if (document.storageKey || !document.url?.startsWith('/uploads/')) continue;
+
+        const filePath = path.join(uploadsDir, path.basename(document.url));
+        if (!fs.existsSync(filePath)) {
+          console.warn(`  ⚠️  ${application._id} ${document.type}: file missing (${document.url})`);
+          missing++;
+          continue;
+        }
+        if (dryRun) {
+          console.log(`  would move ${document.url} (${application._id} ${document.type})`);
+          continue;
+        }
+
+        const buffer = await fs.promises.readFile(filePath);
+        const stored = await storeDocument({
+          buffer,
+          originalname: document.name || path.basename(filePath),
+          mimetype: MIME_TYPES[path.extname(filePath).toLowerCase()],
+          size: buffer.length
+        });
+        const oldUrl = document.url;
+        document.set({ ...stored, name: document.name, url: undefined });
+
+        // Dynamic file fields reference the document instead of the public URL
+        if (document.type.startsWith('Dynamic: ')) {
+          const fieldName = document.type.replace('Dynamic: ', '');
+          const files = application.dynamicFields.get(fieldName);
+          if (Array.isArray(files)) {
+            application.dynamicFields.set(fieldName, files.map(f =>
+              f.url === oldUrl ? { name: f.name, documentId: document._id } : f
+            ));
+          }
+        }
+
+        publicFiles.push(filePath);
+        moved++;
+      }
+
+      if (!dryRun && publicFiles.length) {
+        // Skip validation: older records may predate newer required fields
+        await application.save({ validateBeforeSave: false });
+        if (!keepFiles) {
+          await Promise.all(publicFiles.map(f => fs.promises.rm(f, { force: true })));
+        }
+        console.log(`  ${application._id}: moved ${publicFiles.length} document(s)`);
+      }
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Dry run complete' : 'Migration complete'}: ${moved} moved, ${missing} missing\n`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating documents:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+migrate();
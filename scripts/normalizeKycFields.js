@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.model.js';
+import Application from '../models/Application.model.js';
+import Eligibility from '../models/Eligibility.model.js';
+import { normalizeKyc, kycError } from '../utils/kyc.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const FIELDS = [
+  [User, { phone: 'mobile', pan: 'pan', aadhar: 'aadhaar', 'address.pincode': 'pincode' }],
+  [Application, {
+    'personalInfo.phone': 'mobile',
+    'personalInfo.pan': 'pan',
+    'personalInfo.aadhar': 'aadhaar',
+    'address.current.pincode': 'pincode',
+    'address.permanent.pincode': 'pincode'
+  }],
+  [Eligibility, { pancard: 'pan', pinCode: 'pincode' }]
+];
+
+const valueAt = (doc, path) => path.split('.').reduce((v, key) => v?.[key], doc);
+
+// Usage: node scripts/normalizeKycFields.js [--dry-run]
+// Rewrites stored phone numbers (+91XXXXXXXXXX), PAN, Aadhaar and pincodes in their
+// normalized form so lookups match the values the models now store. Values that are not
+// valid are left as they are and listed for manual correction.
+const normalize = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  let updated = 0;
+  let invalid = 0;
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/beforesalary';
+    await mongoose.connect(mongoUri);
+    console.log('✅ MongoDB Connected');
+
+    for (const [Model, paths] of FIELDS) {
+      for await (const doc of Model.find().select(Object.keys(paths).join(' ')).lean().cursor()) {
+        const update = {};
+        Object.entries(paths).forEach(([path, kind]) => {
+          const value = valueAt(doc, path);
+          if (value === undefined || value === null || value === '') return;
+          if (kycError(kind, value)) {
+            console.warn(`  ⚠️  ${Model.modelName} ${doc._id} ${path}: "${value}" is not valid`);
+            invalid++;
+            return;
+          }
+          const normalized = normalizeKyc(kind, value);
+          if (normalized !== value) update[path] = normalized;
+        });
+        if (!Object.keys(update).length) continue;
+
+        if (dryRun) {
+          console.log(`  would update ${Model.modelName} ${doc._id}:`, update);
+        } else {
+          try {
+            // Raw update: older records may predate newer required fields
+            await Model.collection.updateOne({ _id: doc._id }, { $set: update });
+          } catch (error) {
+            if (error.code !== 11000) throw error;
+            console.warn(`  ⚠️  ${Model.modelName} ${doc._id}: ${Object.values(update).join(', ')} already belongs to another record`);
+            invalid++;
+            continue;
+          }
+        }
+        updated++;
+      }
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Dry run complete' : 'Normalization complete'}: ${updated} records updated, ${invalid} values need attention\n`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error normalizing KYC fields:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+normalize();
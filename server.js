@@ -16,6 +16,11 @@ import homeRoutes from './routes/home.routes.js';
 import categoryRoutes from './routes/category.routes.js';
 import formFieldRoutes from './routes/formField.routes.js';
 import eligibilityRoutes from './routes/eligibility.routes.js';
+import eligibilityRuleRoutes from './routes/eligibilityRule.routes.js';
+import loanAccountRoutes from './routes/loanAccount.routes.js';
+import documentRoutes from './routes/document.routes.js';
+import documentTemplateRoutes from './routes/documentTemplate.routes.js';
+import geoRoutes from './routes/geo.routes.js';
 
 dotenv.config();
 
@@ -24,6 +29,13 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (e.g. 1 for one hop) so req.ip
+// is the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // CORS Configuration - Must be before any routes
 app.use(cors({
   origin: function (origin, callback) {
@@ -54,6 +66,8 @@ app.use((req, res, next) => {
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Public uploads (logos, category and loan images). Application documents are NOT stored here;
+// they live in private storage and are served by /api/documents through signed URLs.
 // Serve static files with explicit CORS headers and proper route handler
 // Handle OPTIONS requests first
 app.options('/uploads/*', (req, res) => {
@@ -63,6 +77,23 @@ app.options('/uploads/*', (req, res) => {
   res.sendStatus(200);
 });
 
+// Legacy application documents uploaded before private storage existed are never served
+// publicly (run scripts/migrateDocumentsToPrivateStorage.js to move them)
+const PRIVATE_UPLOAD_PREFIXES = /^((idProof|addressProof|incomeProof|bankStatement|otherDocuments|selfie)-|dynamicFiles_)/i;
+app.use('/uploads', (req, res, next) => {
+  // express.static decodes the path, so match on the decoded file name (%69dProof-… too)
+  let fileName;
+  try {
+    fileName = path.posix.basename(decodeURIComponent(req.path));
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'Bad request' });
+  }
+  if (PRIVATE_UPLOAD_PREFIXES.test(fileName)) {
+    return res.status(404).json({ success: false, message: 'Not found' });
+  }
+  next();
+});
+
 // Serve static files with explicit CORS headers
 app.use('/uploads', (req, res, next) => {
   // Set CORS headers explicitly before serving files
@@ -122,6 +153,11 @@ app.use('/api/home', homeRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/form-fields', formFieldRoutes);
 app.use('/api/eligibility', eligibilityRoutes); 
+app.use('/api/eligibility-rules', eligibilityRuleRoutes);
+app.use('/api/loan-accounts', loanAccountRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/document-templates', documentTemplateRoutes);
+app.use('/api/geo', geoRoutes);
 
 // Test Route for deployment check
 app.get('/', (req, res) => {
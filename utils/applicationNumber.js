@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import Counter from '../models/Counter.model.js';
+import AdminSettings from '../models/AdminSettings.model.js';
+import Loan from '../models/Loan.model.js';
+import LoanCategory from '../models/LoanCategory.model.js';
+
+export const DEFAULT_NUMBERING = { format: 'APP{seq}', prefix: 'BS', padding: 6 };
+
+export async function getNumberingConfig() {
+  const settings = await AdminSettings.findOne().sort({ createdAt: -1 });
+  const config = settings?.applicationNumbering || {};
+  return {
+    format: config.format || DEFAULT_NUMBERING.format,
+    prefix: config.prefix ?? DEFAULT_NUMBERING.prefix,
+    padding: config.padding || DEFAULT_NUMBERING.padding
+  };
+}
+
+// Indian financial year (April to March), labelled by its starting year
+export function financialYear(date = new Date()) {
+  const d = new Date(date);
+  return d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+}
+
+// Short code for a loan category: its configured code, else the initials of its slug
+export function categoryCode(category) {
+  if (!category) return 'GEN';
+  if (category.code) return category.code.toUpperCase();
+  return (category.slug || category.name || '')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(word => word[0])
+    .join('')
+    .toUpperCase() || 'GEN';
+}
+
+// Counter key for a number. Only the tokens used in the format scope the sequence, so
+// 'APP{seq}' is one global sequence while '{prefix}/{category}/{fy}/{seq}' restarts per
+// category and financial year.
+export function counterKey(config, { category, fy }) {
+  const parts = ['application'];
+  if (config.format.includes('{prefix}')) parts.push(config.prefix);
+  if (config.format.includes('{category}')) parts.push(category);
+  if (config.format.includes('{fy}')) parts.push(fy);
+  return parts.join(':');
+}
+
+export function formatApplicationNumber(config, { category, fy, seq }) {
+  return config.format
+    .replace('{prefix}', config.prefix)
+    .replace('{category}', category)
+    .replace('{fy}', fy)
+    .replace('{seq}', String(seq).padStart(config.padding, '0'));
+}
+
+// Parse a number back into its parts using the format; returns null if it doesn't match
+export function parseApplicationNumber(config, number) {
+  const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = config.format
+    .split(/(\{prefix\}|\{category\}|\{fy\}|\{seq\})/)
+    .map(part => ({
+      '{prefix}': escape(config.prefix),
+      '{category}': '(?<category>[A-Z0-9]+)',
+      '{fy}': '(?<fy>\\d{4})',
+      '{seq}': '(?<seq>\\d+)'
+    }[part] ?? escape(part)))
+    .join('');
+  const match = new RegExp(`^${pattern}$`).exec(number || '');
+  if (!match) return null;
+  return {
+    category: match.groups.category,
+    fy: match.groups.fy ? Number(match.groups.fy) : undefined,
+    seq: Number(match.groups.seq)
+  };
+}
+
+// Move every counter past the numbers already issued in the current format
+export async function seedCountersFromExisting(config) {
+  config = config || await getNumberingConfig();
+  const highest = {};
+  const cursor = mongoose.model('Application')
+    .find({ applicationNumber: { $exists: true, $ne: null } })
+    .select('applicationNumber')
+    .lean()
+    .cursor();
+
+  for await (const app of cursor) {
+    const parsed = parseApplicationNumber(config, app.applicationNumber);
+    if (!parsed) continue;
+    const key = counterKey(config, parsed);
+    highest[key] = Math.max(highest[key] || 0, parsed.seq);
+  }
+
+  await Promise.all(Object.entries(highest).map(([key, seq]) => Counter.seed(key, seq)));
+  return highest;
+}
+
+async function numberParts(application, date) {
+  const loan = application.loanId
+    ? await Loan.findById(application.loanId?._id || application.loanId).select('category')
+    : null;
+  const category = loan?.category ? await LoanCategory.findById(loan.category).select('code slug name') : null;
+  return {
+    category: categoryCode(category),
+    fy: financialYear(date)
+  };
+}
+
+// Next application number for an application, from an atomic per-scope counter.
+// If a number is already taken (legacy numbers the counter hasn't been seeded with yet),
+// the counters are seeded from the existing numbers once and allocation is retried.
+// `date` picks the financial year (submission time by default).
+export async function nextApplicationNumber(application, config, date = new Date()) {
+  config = config || await getNumberingConfig();
+  const parts = await numberParts(application, date);
+  const key = counterKey(config, parts);
+  let seeded = false;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const seq = await Counter.next(key);
+    const number = formatApplicationNumber(config, { ...parts, seq });
+    const taken = await mongoose.model('Application').exists({ applicationNumber: number });
+    if (!taken) return number;
+    if (!seeded) {
+      await seedCountersFromExisting(config);
+      seeded = true;
+    }
+  }
+  throw new Error(`Could not allocate an application number for ${key}`);
+}
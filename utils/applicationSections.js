@@ -0,0 +1,277 @@
+// Per-section validation for loan applications. Each validator returns { errors } with
+// field-level messages keyed by path (e.g. 'personalInfo.email'), or { value } holding the
+// cleaned section ready to be stored.
+import mongoose from 'mongoose';
+import { quoteLoan } from './loanMath.js';
+import { storeDocument } from './documentStorage.js';
+import { kycError, normalizeKyc } from './kyc.js';
+
+export const APPLICATION_SECTIONS = ['personalInfo', 'address', 'employmentInfo', 'bankDetails', 'loanDetails', 'documents', 'dynamicFields'];
+
+const isBlank = v => v === undefined || v === null || String(v).trim() === '';
+const trimOrUndefined = v => (isBlank(v) ? undefined : String(v).trim());
+const numberOrUndefined = v => (isBlank(v) ? undefined : Number(v));
+const result = (errors, value) => (Object.keys(errors).length ? { errors } : { value });
+
+// Parse JSON sections sent as strings in multipart requests
+export const parseJsonSections = (body) => {
+  ['personalInfo', 'address', 'employmentInfo', 'bankDetails', 'loanDetails', 'dynamicFields'].forEach(f => {
+    if (typeof body[f] === 'string') {
+      try { body[f] = JSON.parse(body[f]); } catch { /* ignore */ }
+    }
+  });
+  return body;
+};
+
+// Store multer's req.files (memory storage) privately and turn them into application
+// documents. Files sent as dynamicFiles_<name> are also returned per field, referencing
+// their document id, so they can be stored in dynamicFields.
+export const buildDocuments = async (uploadedFiles) => {
+  const documentTypes = {
+    idProof: 'ID',
+    addressProof: 'Address',
+    incomeProof: 'Income',
+    bankStatement: 'Bank Statement',
+    otherDocuments: 'Other',
+    selfie: 'Selfie'
+  };
+  const documents = [];
+  const dynamicFiles = {};
+
+  for (const file of Array.isArray(uploadedFiles) ? uploadedFiles : []) {
+    const isDynamic = file.fieldname.startsWith('dynamicFiles_');
+    if (!isDynamic && !documentTypes[file.fieldname]) continue;
+    // Only one selfie is kept
+    if (file.fieldname === 'selfie' && documents.some(d => d.type === 'Selfie')) continue;
+
+    const entry = { _id: new mongoose.Types.ObjectId(), ...(await storeDocument(file)), status: 'Pending' };
+    if (isDynamic) {
+      const fieldName = file.fieldname.replace('dynamicFiles_', '');
+      documents.push({ ...entry, type: `Dynamic: ${fieldName}` });
+      (dynamicFiles[fieldName] = dynamicFiles[fieldName] || []).push({ name: entry.name, documentId: entry._id });
+    } else {
+      documents.push({ ...entry, type: documentTypes[file.fieldname] });
+    }
+  }
+
+  return { documents, dynamicFiles };
+};
+
+export const validatePersonalInfo = (data = {}) => {
+  const errors = {};
+  if (isBlank(data.fullName)) errors['personalInfo.fullName'] = 'Full name is required';
+  if (isBlank(data.email)) {
+    errors['personalInfo.email'] = 'Email is required';
+  } else if (!/^\S+@\S+\.\S+$/.test(String(data.email).trim())) {
+    errors['personalInfo.email'] = 'Email is not valid';
+  }
+  if (isBlank(data.phone)) {
+    errors['personalInfo.phone'] = 'Phone number is required';
+  } else if (kycError('mobile', data.phone)) {
+    errors['personalInfo.phone'] = kycError('mobile', data.phone);
+  }
+  if (kycError('pan', data.pan)) errors['personalInfo.pan'] = kycError('pan', data.pan);
+  if (kycError('aadhaar', data.aadhar)) errors['personalInfo.aadhar'] = kycError('aadhaar', data.aadhar);
+  if (!isBlank(data.dateOfBirth) && isNaN(new Date(data.dateOfBirth).getTime())) {
+    errors['personalInfo.dateOfBirth'] = 'Date of birth is not a valid date';
+  }
+  const dependents = numberOrUndefined(data.numberOfDependents);
+  if (dependents !== undefined && !(Number.isInteger(dependents) && dependents >= 0)) {
+    errors['personalInfo.numberOfDependents'] = 'Number of dependents must be a whole number';
+  }
+
+  return result(errors, {
+    fullName: trimOrUndefined(data.fullName),
+    email: trimOrUndefined(data.email)?.toLowerCase(),
+    phone: normalizeKyc('mobile', trimOrUndefined(data.phone)),
+    dateOfBirth: isBlank(data.dateOfBirth) ? undefined : new Date(data.dateOfBirth),
+    gender: trimOrUndefined(data.gender),
+    pan: normalizeKyc('pan', trimOrUndefined(data.pan)),
+    aadhar: normalizeKyc('aadhaar', trimOrUndefined(data.aadhar)),
+    maritalStatus: trimOrUndefined(data.maritalStatus),
+    numberOfDependents: dependents
+  });
+};
+
+const validateAddressBlock = (block = {}, prefix, errors, requireAll) => {
+  ['street', 'city', 'state', 'pincode'].forEach(f => {
+    if (requireAll && isBlank(block[f])) errors[`${prefix}.${f}`] = `${f.charAt(0).toUpperCase() + f.slice(1)} is required`;
+  });
+  if (kycError('pincode', block.pincode)) errors[`${prefix}.pincode`] = kycError('pincode', block.pincode);
+  return {
+    street: trimOrUndefined(block.street),
+    city: trimOrUndefined(block.city),
+    state: trimOrUndefined(block.state),
+    pincode: normalizeKyc('pincode', trimOrUndefined(block.pincode)),
+    country: trimOrUndefined(block.country) || 'India'
+  };
+};
+
+export const validateAddress = (data = {}) => {
+  const errors = {};
+  const current = validateAddressBlock(data.current, 'address.current', errors, true);
+  const permanent = data.sameAsCurrent
+    ? { ...current }
+    : validateAddressBlock(data.permanent, 'address.permanent', errors, false);
+  return result(errors, { current, permanent });
+};
+
+export const validateEmploymentInfo = (data = {}) => {
+  const errors = {};
+  if (isBlank(data.employmentType)) errors['employmentInfo.employmentType'] = 'Employment type is required';
+  const monthlyIncome = numberOrUndefined(data.monthlyIncome);
+  if (!(monthlyIncome > 0)) errors['employmentInfo.monthlyIncome'] = 'Monthly income must be a valid positive number';
+  ['workExperience', 'businessAge'].forEach(f => {
+    const n = numberOrUndefined(data[f]);
+    if (n !== undefined && !(n >= 0)) errors[`employmentInfo.${f}`] = `${f} must be a non-negative number`;
+  });
+
+  return result(errors, {
+    employmentType: trimOrUndefined(data.employmentType),
+    monthlyIncome,
+    companyName: trimOrUndefined(data.companyName),
+    designation: trimOrUndefined(data.designation),
+    workExperience: numberOrUndefined(data.workExperience),
+    businessType: trimOrUndefined(data.businessType),
+    businessAge: numberOrUndefined(data.businessAge)
+  });
+};
+
+// Bank details are only needed for disbursement, so every field is optional here
+export const validateBankDetails = (data = {}) => {
+  const errors = {};
+  const accountNumber = isBlank(data.accountNumber) ? undefined : String(data.accountNumber).replace(/\s/g, '');
+  if (accountNumber !== undefined && !/^\d{9,18}$/.test(accountNumber)) {
+    errors['bankDetails.accountNumber'] = 'Account number must be 9 to 18 digits';
+  }
+  if (kycError('ifsc', data.ifsc)) errors['bankDetails.ifsc'] = kycError('ifsc', data.ifsc);
+
+  return result(errors, {
+    accountHolderName: trimOrUndefined(data.accountHolderName),
+    accountNumber,
+    ifsc: normalizeKyc('ifsc', trimOrUndefined(data.ifsc)),
+    bankName: trimOrUndefined(data.bankName)
+  });
+};
+
+// Loan details are priced with the shared calculator so the stored EMI matches the quote
+export const validateLoanDetails = (loan, data = {}) => {
+  if (!loan) return { errors: { loanId: 'Select a loan product first' } };
+  const { errors, quote } = quoteLoan(loan, {
+    amount: data.loanAmount ?? data.principal,
+    tenure: data.loanTenure ?? data.tenureMonths
+  });
+  if (errors) {
+    return {
+      errors: Object.fromEntries(Object.entries(errors).map(([k, v]) => [
+        k === 'amount' ? 'loanDetails.loanAmount' : k === 'tenure' ? 'loanDetails.loanTenure' : `loanDetails.${k}`, v
+      ]))
+    };
+  }
+  return {
+    value: {
+      loanAmount: quote.loanAmount,
+      loanTenure: quote.tenure,
+      purpose: trimOrUndefined(data.purpose),
+      interestRate: quote.interestRate,
+      emi: quote.emi,
+      processingFee: quote.processingFee
+    }
+  };
+};
+
+// Check dynamic field values against the admin-defined form fields. With requireAll,
+// every required field must have a value (File fields are satisfied by uploaded documents).
+// Dynamic field types checked with the shared KYC formats
+const KYC_FIELD_TYPES = {
+  Phone: 'mobile',
+  PAN: 'pan',
+  Aadhaar: 'aadhaar',
+  IFSC: 'ifsc',
+  Pincode: 'pincode'
+};
+
+export const validateDynamicFields = (formFields = [], values = {}, { requireAll = false, documents = [] } = {}) => {
+  const errors = {};
+  formFields.forEach(field => {
+    const key = `dynamicFields.${field.name}`;
+    const value = values[field.name];
+
+    if (field.type === 'File') {
+      const uploaded = documents.some(d => d.type === `Dynamic: ${field.name}`);
+      if (requireAll && field.required && !uploaded) errors[key] = `${field.label || field.name} is required`;
+      return;
+    }
+    if (isBlank(value) || (Array.isArray(value) && !value.length)) {
+      if (requireAll && field.required) errors[key] = `${field.label || field.name} is required`;
+      return;
+    }
+
+    if (field.type === 'Number' && !Number.isFinite(Number(value))) {
+      errors[key] = `${field.label || field.name} must be a number`;
+    } else if (field.type === 'Email' && !/^\S+@\S+\.\S+$/.test(String(value))) {
+      errors[key] = `${field.label || field.name} must be a valid email`;
+    } else if (KYC_FIELD_TYPES[field.type] && kycError(KYC_FIELD_TYPES[field.type], value)) {
+      errors[key] = `${field.label || field.name}: ${kycError(KYC_FIELD_TYPES[field.type], value)}`;
+    } else if (field.type === 'Date' && isNaN(new Date(value).getTime())) {
+      errors[key] = `${field.label || field.name} must be a valid date`;
+    } else if (['Select', 'Radio'].includes(field.type) && field.options?.length && !field.options.includes(value)) {
+      errors[key] = `${field.label || field.name} must be one of: ${field.options.join(', ')}`;
+    }
+  });
+  return result(errors, values);
+};
+
+// Eligibility forms use 'SALARIED' / 'SELF EMPLOYED'; applications use the loan product names
+const EMPLOYMENT_TYPES_FROM_ELIGIBILITY = {
+  'SALARIED': 'Salaried',
+  'SELF EMPLOYED': 'Self-Employed'
+};
+
+// Draft application sections prefilled from an eligibility check. The phone number comes
+// from the account since the eligibility form doesn't ask for one. Values that fail the
+// current KYC formats (older records) are left for the applicant to fill in.
+export const draftFromEligibility = (eligibility, user) => {
+  const valid = (kind, value) => (value && !kycError(kind, value) ? value : undefined);
+  const gender = eligibility.gender ? eligibility.gender.charAt(0) + eligibility.gender.slice(1).toLowerCase() : undefined;
+  return {
+    personalInfo: {
+      fullName: eligibility.name,
+      email: eligibility.email,
+      phone: valid('mobile', user?.phone),
+      dateOfBirth: eligibility.dob,
+      gender,
+      pan: valid('pan', eligibility.pancard)
+    },
+    employmentInfo: {
+      employmentType: EMPLOYMENT_TYPES_FROM_ELIGIBILITY[eligibility.employmentType] || eligibility.employmentType,
+      monthlyIncome: eligibility.netMonthlyIncome,
+      companyName: eligibility.companyName || undefined
+    },
+    address: {
+      current: {
+        city: eligibility.city || undefined,
+        state: eligibility.state || undefined,
+        pincode: valid('pincode', eligibility.pinCode)
+      }
+    }
+  };
+};
+
+// Full validation of a draft before it can be submitted
+export const validateForSubmission = (application, loan, formFields) => {
+  const plain = application.toObject ? application.toObject({ flattenMaps: true }) : application;
+  const errors = {};
+  if (!loan) errors.loanId = 'Select a loan product first';
+
+  [
+    validatePersonalInfo(plain.personalInfo),
+    validateAddress(plain.address),
+    validateEmploymentInfo(plain.employmentInfo),
+    validateBankDetails(plain.bankDetails),
+    validateLoanDetails(loan, plain.loanDetails),
+    validateDynamicFields(formFields, plain.dynamicFields || {}, { requireAll: true, documents: plain.documents || [] })
+  ].forEach(r => Object.assign(errors, r.errors || {}));
+
+  return Object.keys(errors).length ? { errors } : {};
+};
@@ -0,0 +1,236 @@
+// Automated credit decision for eligibility submissions. Each submission is checked against
+// the selected loan's eligibilityCriteria and gets one of three outcomes:
+//   approve - every check passed
+//   reject  - at least one check failed (reasonCodes say which)
+//   refer   - the engine can't decide (e.g. no loan selected), so an admin reviews it
+// The full list of checks is returned as a trace and stored on the record.
+//
+// On top of the fixed criteria, the active EligibilityRuleSet for the loan (or its category)
+// adds admin-defined rules: each one is a condition on a fact about the submission and an
+// outcome (reject, refer, or approve with a maximum amount).
+import { addMonths } from './loanMath.js';
+import { serviceableAreas, isServiceable } from './serviceability.js';
+
+export const DECISION_OUTCOMES = ['approve', 'reject', 'refer'];
+
+// Outcome -> Eligibility.status
+export const DECISION_STATUS = {
+  approve: 'approved',
+  reject: 'rejected',
+  refer: 'pending'
+};
+
+export const REASON_MESSAGES = {
+  LOAN_NOT_SELECTED: 'No loan product was selected',
+  LOAN_NOT_FOUND: 'The selected loan product does not exist',
+  LOAN_INACTIVE: 'The selected loan product is not currently offered',
+  AGE_UNKNOWN: 'Date of birth is not a valid date',
+  AGE_BELOW_MIN: 'Applicant is younger than the minimum age',
+  AGE_ABOVE_MAX: 'Applicant is older than the maximum age',
+  INCOME_BELOW_MIN: 'Net monthly income is below the minimum required',
+  EMPLOYMENT_TYPE_NOT_ELIGIBLE: 'Employment type is not eligible for this loan',
+  PINCODE_NOT_SERVICEABLE: 'Pincode is not serviceable for this loan',
+  ADMIN_REJECTED: 'Rejected by an admin on review'
+};
+
+// Age in completed years on a given date
+export const ageOn = (dob, asOf = new Date()) => {
+  const birth = new Date(dob);
+  if (isNaN(birth.getTime())) return null;
+  const on = new Date(asOf);
+  let age = on.getFullYear() - birth.getFullYear();
+  const beforeBirthday = on.getMonth() < birth.getMonth() ||
+    (on.getMonth() === birth.getMonth() && on.getDate() < birth.getDate());
+  if (beforeBirthday) age--;
+  return age;
+};
+
+// Loans list employment types as e.g. 'Salaried', 'Self-Employed', 'Business' while
+// eligibility forms send 'SALARIED' / 'SELF EMPLOYED'; business owners are self employed.
+export const normalizeEmploymentType = (type) => {
+  const key = String(type || '').toLowerCase().replace(/[^a-z]/g, '');
+  return key === 'business' ? 'selfemployed' : key;
+};
+
+export const RULE_OUTCOMES = ['reject', 'refer', 'approve'];
+export const RULE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'exists', 'missing'];
+
+const daysBetween = (from, to) => Math.ceil((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000));
+
+// Facts rules can test, derived from the submission and the selected loan
+const FACTS = {
+  age: ({ submission, asOf }) => ageOn(submission.dob, asOf),
+  // Age when the longest tenure the loan offers would end
+  ageAtMaturity: ({ submission, loan, asOf }) =>
+    ageOn(submission.dob, addMonths(asOf, Number(loan?.maxTenure) || 0)),
+  netMonthlyIncome: ({ submission }) => Number(submission.netMonthlyIncome),
+  employmentType: ({ submission }) => submission.employmentType,
+  gender: ({ submission }) => submission.gender,
+  pinCode: ({ submission }) => submission.pinCode,
+  state: ({ submission }) => submission.state,
+  city: ({ submission }) => submission.city,
+  companyName: ({ submission }) => submission.companyName,
+  companyTier: ({ submission, ruleSet }) => {
+    const name = String(submission.companyName || '').trim().toLowerCase();
+    if (!name) return null;
+    const match = (ruleSet?.companyTiers || []).find(c => c.name.trim().toLowerCase() === name);
+    return match ? match.tier : null;
+  },
+  daysToNextSalary: ({ submission, asOf }) =>
+    submission.nextSalaryDate ? daysBetween(asOf, submission.nextSalaryDate) : null
+};
+
+export const RULE_FACTS = Object.keys(FACTS);
+
+const isMissing = v => v === undefined || v === null || v === '' || Number.isNaN(v);
+const sameValue = (a, b) => (typeof a === 'string' || typeof b === 'string')
+  ? String(a).trim().toLowerCase() === String(b).trim().toLowerCase()
+  : a === b;
+const asList = v => (Array.isArray(v) ? v : String(v ?? '').split(',').map(s => s.trim()).filter(Boolean));
+
+// Whether a rule's condition holds for a fact value. Comparisons against a missing fact
+// never hold, so use `missing` to act on absent data.
+export const ruleMatches = (rule, actual) => {
+  if (rule.operator === 'missing') return isMissing(actual);
+  if (rule.operator === 'exists') return !isMissing(actual);
+  if (isMissing(actual)) return false;
+
+  switch (rule.operator) {
+    case 'eq': return sameValue(actual, rule.value);
+    case 'ne': return !sameValue(actual, rule.value);
+    case 'gt': return Number(actual) > Number(rule.value);
+    case 'gte': return Number(actual) >= Number(rule.value);
+    case 'lt': return Number(actual) < Number(rule.value);
+    case 'lte': return Number(actual) <= Number(rule.value);
+    case 'in': return asList(rule.value).some(v => sameValue(actual, v));
+    case 'notIn': return !asList(rule.value).some(v => sameValue(actual, v));
+    default: return false;
+  }
+};
+
+// Trace entries for a rule set's rules
+export const evaluateRuleSet = (ruleSet, { submission, loan, asOf = new Date() }) =>
+  (ruleSet?.rules || []).map(rule => {
+    const actual = FACTS[rule.fact] ? FACTS[rule.fact]({ submission, loan, ruleSet, asOf }) : undefined;
+    const fired = ruleMatches(rule, actual);
+    const blocking = fired && rule.outcome !== 'approve';
+    return {
+      rule: rule.name,
+      fact: rule.fact,
+      passed: !blocking,
+      outcome: fired ? rule.outcome : 'pass',
+      reasonCode: blocking ? rule.reasonCode || `RULE_${rule.outcome.toUpperCase()}` : undefined,
+      expected: { operator: rule.operator, value: rule.value },
+      actual: isMissing(actual) ? null : actual,
+      maxAmount: fired && rule.outcome === 'approve' ? rule.maxAmount : undefined,
+      message: blocking ? rule.message || rule.name : undefined
+    };
+  });
+
+const check = (rule, passed, { expected, actual, reasonCode, outcome }) => ({
+  rule,
+  passed,
+  outcome: passed ? 'pass' : outcome || 'reject',
+  reasonCode: passed ? undefined : reasonCode,
+  expected,
+  actual,
+  message: passed ? undefined : REASON_MESSAGES[reasonCode]
+});
+
+// Evaluate one submission. `submission` holds the eligibility fields (dob,
+// netMonthlyIncome, employmentType, pinCode, ...); `loan` is the selected Loan or null,
+// `ruleSet` the EligibilityRuleSet to apply, if any, and `location` the pincode directory
+// record for submission.pinCode (needed to match serviceable districts).
+export const evaluateEligibility = (submission, loan, { loanSelected = !!loan, ruleSet = null, location = null, asOf = new Date() } = {}) => {
+  const checks = [];
+  const criteria = (loan?.toObject ? loan.toObject() : loan)?.eligibilityCriteria || {};
+
+  if (!loan) {
+    checks.push(check('loan', false, {
+      reasonCode: loanSelected ? 'LOAN_NOT_FOUND' : 'LOAN_NOT_SELECTED',
+      outcome: 'refer'
+    }));
+  } else {
+    checks.push(check('loan', loan.isActive !== false, {
+      actual: loan.name,
+      reasonCode: 'LOAN_INACTIVE',
+      outcome: 'refer'
+    }));
+
+    const age = ageOn(submission.dob, asOf);
+    if (age === null) {
+      checks.push(check('age', false, { actual: submission.dob, reasonCode: 'AGE_UNKNOWN', outcome: 'refer' }));
+    } else {
+      if (criteria.minAge != null) {
+        checks.push(check('minAge', age >= criteria.minAge, { expected: criteria.minAge, actual: age, reasonCode: 'AGE_BELOW_MIN' }));
+      }
+      if (criteria.maxAge != null) {
+        checks.push(check('maxAge', age <= criteria.maxAge, { expected: criteria.maxAge, actual: age, reasonCode: 'AGE_ABOVE_MAX' }));
+      }
+    }
+
+    if (criteria.minIncome != null) {
+      const income = Number(submission.netMonthlyIncome);
+      checks.push(check('minIncome', income >= criteria.minIncome, {
+        expected: criteria.minIncome,
+        actual: income,
+        reasonCode: 'INCOME_BELOW_MIN'
+      }));
+    }
+
+    // An empty list means every employment type is accepted
+    const allowedTypes = (criteria.employmentType || []).filter(Boolean);
+    if (allowedTypes.length) {
+      const allowed = allowedTypes.map(normalizeEmploymentType);
+      checks.push(check('employmentType', allowed.includes(normalizeEmploymentType(submission.employmentType)), {
+        expected: allowedTypes,
+        actual: submission.employmentType,
+        reasonCode: 'EMPLOYMENT_TYPE_NOT_ELIGIBLE'
+      }));
+    }
+
+    // With no pincodes or districts listed the loan is offered everywhere
+    const areas = serviceableAreas(loan);
+    if (areas.pincodes.length || areas.districts.length) {
+      checks.push(check('serviceablePincode', isServiceable(loan, submission.pinCode, location), {
+        expected: `${areas.pincodes.length} serviceable pincode(s), ${areas.districts.length} district(s)`,
+        actual: location ? `${submission.pinCode} (${location.district})` : submission.pinCode,
+        reasonCode: 'PINCODE_NOT_SERVICEABLE'
+      }));
+    }
+
+    // No credit bureau is integrated yet, so the score criterion is recorded but not applied
+    if (criteria.minCreditScore != null) {
+      checks.push({
+        rule: 'minCreditScore',
+        passed: null,
+        outcome: 'skipped',
+        expected: criteria.minCreditScore,
+        message: 'No credit score available'
+      });
+    }
+
+    checks.push(...evaluateRuleSet(ruleSet, { submission, loan, asOf }));
+  }
+
+  const failed = checks.filter(c => c.passed === false);
+  const rejected = failed.filter(c => c.outcome === 'reject');
+  const outcome = rejected.length ? 'reject' : failed.length ? 'refer' : 'approve';
+  const decisive = rejected.length ? rejected : failed;
+  const caps = checks.filter(c => c.outcome === 'approve' && c.maxAmount != null).map(c => c.maxAmount);
+
+  return {
+    outcome,
+    status: DECISION_STATUS[outcome],
+    reasonCodes: decisive.map(c => c.reasonCode),
+    reason: decisive.map(c => c.message).join('; ') || undefined,
+    maxAmount: outcome === 'approve' && caps.length ? Math.min(...caps) : undefined,
+    source: 'engine',
+    evaluatedAt: asOf,
+    criteria: loan ? criteria : undefined,
+    ruleSet: ruleSet
+      ? { id: ruleSet._id, name: ruleSet.name, version: ruleSet.version, scope: ruleSet.loanId ? 'loan' : 'category' }
+      : undefined,
+    checks
+  };
+};
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Private storage for KYC and application documents. Unlike /uploads (logos, category and
+// loan images) nothing here is served statically: files are only reachable through a
+// short-lived signed URL issued to the owner or an admin.
+//
+// A driver implements:
+//   save({ buffer, originalname, mimetype }) -> Promise<key>
+//   read(key)                                -> Promise<Readable stream>
+//   remove(key)                              -> Promise<void>
+// Select one with DOCUMENT_STORAGE_DRIVER (default: local).
+
+const localDir = () => process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, '../private_uploads');
+
+const localDriver = {
+  async save({ buffer, originalname }) {
+    const dir = localDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+    const key = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(originalname || '').toLowerCase()}`;
+    await fs.promises.writeFile(path.join(dir, key), buffer);
+    return key;
+  },
+  async read(key) {
+    const filePath = path.join(localDir(), path.basename(key));
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  },
+  async remove(key) {
+    await fs.promises.rm(path.join(localDir(), path.basename(key)), { force: true });
+  }
+};
+
+const drivers = { local: localDriver };
+
+// Register another backend (e.g. an S3-compatible bucket or Cloudinary authenticated assets)
+export function registerStorageDriver(name, driver) {
+  ['save', 'read', 'remove'].forEach(fn => {
+    if (typeof driver[fn] !== 'function') throw new Error(`Storage driver '${name}' must implement ${fn}()`);
+  });
+  drivers[name] = driver;
+}
+
+export function getStorageDriver(name = process.env.DOCUMENT_STORAGE_DRIVER || 'local') {
+  const driver = drivers[name];
+  if (!driver) throw new Error(`Unknown document storage driver '${name}'`);
+  return { name, driver };
+}
+
+// Store an uploaded file (multer memory storage) and return the document fields to keep.
+// The content hash lets the same file be recognised across applications.
+export async function storeDocument(file) {
+  const { name, driver } = getStorageDriver();
+  const storageKey = await driver.save(file);
+  return {
+    name: file.originalname,
+    storageDriver: name,
+    storageKey,
+    mimeType: file.mimetype,
+    size: file.size,
+    sha256: crypto.createHash('sha256').update(file.buffer).digest('hex')
+  };
+}
+
+export async function readDocument(document) {
+  const { driver } = getStorageDriver(document.storageDriver || 'local');
+  return driver.read(document.storageKey);
+}
+
+export async function removeDocument(document) {
+  if (!document?.storageKey) return;
+  const { driver } = getStorageDriver(document.storageDriver || 'local');
+  await driver.remove(document.storageKey);
+}
+
+const urlSecret = () => process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET || 'your_jwt_secret_key_here';
+const urlTtlSeconds = () => Number(process.env.DOCUMENT_URL_TTL) || 300;
+
+// Short-lived URL for one document. The token is bound to the stored file, so it stops
+// working as soon as the document is replaced.
+export function signDocumentUrl(applicationId, document) {
+  const ttl = urlTtlSeconds();
+  const token = jwt.sign(
+    { purpose: 'document', app: String(applicationId), doc: String(document._id), key: document.storageKey },
+    urlSecret(),
+    { expiresIn: ttl }
+  );
+  return {
+    url: `/api/documents/${token}`,
+    expiresAt: new Date(Date.now() + ttl * 1000)
+  };
+}
+
+// Returns the token payload, or null if the token is invalid or expired
+export function verifyDocumentToken(token) {
+  try {
+    const payload = jwt.verify(token, urlSecret());
+    return payload.purpose === 'document' ? payload : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,80 @@
+// Emails sent when an admin approves or rejects an eligibility check. Subject and HTML body
+// come from AdminSettings.emailTemplates (edited through PUT /api/admin/settings) and fall
+// back to the defaults below; both may use the {{placeholders}} listed here.
+import { sendEmail, escapeHtml } from './sendEmail.js';
+import { fillTemplate } from './loanDocuments.js';
+
+export const ELIGIBILITY_EMAIL_PLACEHOLDERS = {
+  name: 'Applicant name',
+  loanName: 'Loan product checked',
+  siteName: 'Site name from settings',
+  applyUrl: 'Link to start the loan application (approval)',
+  maxAmount: 'Maximum amount the applicant qualifies for, if known (approval)',
+  rejectionReason: 'Reason given by the admin (rejection)',
+  reapplyAfter: 'Date from which the applicant may check again (rejection)'
+};
+
+export const DEFAULT_ELIGIBILITY_EMAILS = {
+  eligibilityApproved: {
+    subject: 'You are eligible for {{loanName}}',
+    body: `<div style="font-family: Arial, sans-serif; max-width:600px;margin:0 auto;padding:20px;">
+  <h2 style="color:#333;">Good news, {{name}}!</h2>
+  <p style="color:#666;">Your eligibility check for <strong>{{loanName}}</strong> has been approved.</p>
+  <p style="color:#666;">Continue to your loan application. Details from your eligibility check are already filled in.</p>
+  <p><a href="{{applyUrl}}" style="background:#f97316;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none;">Start application</a></p>
+  <p style="color:#999;font-size:12px;">{{siteName}}</p>
+</div>`
+  },
+  eligibilityRejected: {
+    subject: 'Update on your {{loanName}} eligibility check',
+    body: `<div style="font-family: Arial, sans-serif; max-width:600px;margin:0 auto;padding:20px;">
+  <h2 style="color:#333;">Eligibility check update</h2>
+  <p style="color:#666;">Dear {{name}},</p>
+  <p style="color:#666;">We are unable to offer you <strong>{{loanName}}</strong> at this time.</p>
+  <p style="color:#666;"><strong>Reason:</strong> {{rejectionReason}}</p>
+  <p style="color:#666;">You can check your eligibility again from <strong>{{reapplyAfter}}</strong>.</p>
+  <p style="color:#999;font-size:12px;">{{siteName}}</p>
+</div>`
+  }
+};
+
+export const applyUrl = (eligibility) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '')}/apply?eligibilityId=${eligibility._id}`;
+
+export const eligibilityEmailValues = (eligibility, settings) => ({
+  name: eligibility.name,
+  loanName: eligibility.loanId?.name || 'your loan',
+  siteName: settings?.siteName || 'Beforesalary',
+  applyUrl: applyUrl(eligibility),
+  maxAmount: eligibility.decision?.maxAmount != null ? `₹${eligibility.decision.maxAmount.toLocaleString('en-IN')}` : '',
+  rejectionReason: eligibility.rejectionReason || 'You do not meet the eligibility criteria for this loan',
+  reapplyAfter: eligibility.reapplyAfter
+    ? new Date(eligibility.reapplyAfter).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })
+    : 'today'
+});
+
+// Subject, HTML and plain-text versions of the email for a decided eligibility check
+export const renderEligibilityEmail = (eligibility, settings) => {
+  const kind = eligibility.status === 'approved' ? 'eligibilityApproved' : 'eligibilityRejected';
+  const custom = settings?.emailTemplates?.[kind] || {};
+  const values = eligibilityEmailValues(eligibility, settings);
+  const body = custom.body || DEFAULT_ELIGIBILITY_EMAILS[kind].body;
+  return {
+    subject: fillTemplate(custom.subject || DEFAULT_ELIGIBILITY_EMAILS[kind].subject, values),
+    html: fillTemplate(body, Object.fromEntries(Object.entries(values).map(([k, v]) => [k, escapeHtml(v)]))),
+    // Links keep their address in the plain-text version
+    text: fillTemplate(body.replace(/<a [^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/g, '$2: $1').replace(/<[^>]+>/g, ''), values)
+      .replace(/\n\s*/g, '\n')
+      .trim()
+  };
+};
+
+// Email the applicant about the decision. Returns sendEmail's result; never throws.
+export async function sendEligibilityDecisionEmail(eligibility, settings) {
+  try {
+    return await sendEmail({ to: eligibility.email, ...renderEligibilityEmail(eligibility, settings) });
+  } catch (error) {
+    console.error('Error sending eligibility decision email:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,76 @@
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import AdminSettings from '../models/AdminSettings.model.js';
+
+// Verification of Firebase Authentication ID tokens, following
+// https://firebase.google.com/docs/auth/admin/verify-id-tokens without the Admin SDK.
+// Tokens are RS256 JWTs signed with one of Google's rotating keys, published as a
+// { kid: x509 certificate } map. Set FIREBASE_PUBLIC_KEYS_FILE to a JSON file in the same
+// format to verify against a local key set instead (offline development and tests).
+
+const GOOGLE_KEYS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const CLOCK_TOLERANCE_SECONDS = 5;
+
+// Rejections of the token itself carry this code; anything else is a server-side problem
+export const INVALID_TOKEN = 'FIREBASE_TOKEN_INVALID';
+
+const tokenError = (message) => Object.assign(new Error(message), { code: INVALID_TOKEN });
+
+let keyCache = { keys: null, expiresAt: 0 };
+
+const loadPublicKeys = async () => {
+  if (process.env.FIREBASE_PUBLIC_KEYS_FILE) {
+    return JSON.parse(await fs.promises.readFile(process.env.FIREBASE_PUBLIC_KEYS_FILE, 'utf8'));
+  }
+  if (keyCache.keys && keyCache.expiresAt > Date.now()) return keyCache.keys;
+
+  const response = await fetch(GOOGLE_KEYS_URL, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) throw new Error(`Could not fetch Firebase signing keys (HTTP ${response.status})`);
+  // Google says how long the current keys stay valid through Cache-Control
+  const maxAge = Number(/max-age=(\d+)/.exec(response.headers.get('cache-control') || '')?.[1] || 3600);
+  keyCache = { keys: await response.json(), expiresAt: Date.now() + maxAge * 1000 };
+  return keyCache.keys;
+};
+
+// Firebase project the tokens must be issued for: the admin-configured web config, else env
+export const getFirebaseProjectId = async () => {
+  const settings = await AdminSettings.findOne().select('authentication').lean();
+  return settings?.authentication?.firebaseConfig?.projectId || process.env.FIREBASE_PROJECT_ID || null;
+};
+
+// Resolves to the token's claims (uid = sub). Throws an INVALID_TOKEN error when the token is
+// not a valid, unexpired ID token for `projectId`.
+export const verifyFirebaseIdToken = async (idToken, projectId) => {
+  if (!projectId) throw new Error('Firebase project ID is not configured');
+
+  const decoded = typeof idToken === 'string' ? jwt.decode(idToken, { complete: true }) : null;
+  if (!decoded || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+    throw tokenError('Malformed Firebase ID token');
+  }
+
+  const keys = await loadPublicKeys();
+  const key = keys[decoded.header.kid];
+  if (!key) throw tokenError('Firebase ID token is signed with an unknown key');
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      audience: projectId,
+      issuer: `https://securetoken.google.com/${projectId}`,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    throw tokenError(error.name === 'TokenExpiredError' ? 'Firebase ID token has expired' : 'Invalid Firebase ID token');
+  }
+
+  const now = Math.floor(Date.now() / 1000) + CLOCK_TOLERANCE_SECONDS;
+  if (typeof claims.sub !== 'string' || !claims.sub || claims.sub.length > 128) {
+    throw tokenError('Firebase ID token has no valid subject');
+  }
+  if (typeof claims.auth_time !== 'number' || claims.auth_time > now || typeof claims.iat !== 'number' || claims.iat > now) {
+    throw tokenError('Firebase ID token has invalid issue times');
+  }
+
+  return { ...claims, uid: claims.sub };
+};
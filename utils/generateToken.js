@@ -1,8 +1,10 @@
 import jwt from 'jsonwebtoken';
 
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'your_jwt_secret_key_here', {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Short-lived access token tied to a session (see utils/sessions.js); clients renew it
+// with their refresh token
+export const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET || 'your_jwt_secret_key_here', {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
@@ -0,0 +1,19 @@
+// Normalized identity values used to match the same person across records, whatever
+// formatting they were typed with. PAN, Aadhaar and phone use the KYC formats, so identities
+// match the values the models store.
+import { normalizeKyc } from './kyc.js';
+
+export const normalizePan = (pan) => normalizeKyc('pan', pan) || undefined;
+
+export const normalizeAadhaar = (aadhaar) => normalizeKyc('aadhaar', aadhaar) || undefined;
+
+// +91XXXXXXXXXX, so +91 98765 43210, 098765-43210 and 9876543210 all match
+export const normalizePhone = (phone) => normalizeKyc('mobile', phone) || undefined;
+
+// Lowercased, without a +tag (name+loans@x.com is name@x.com)
+export const normalizeEmail = (email) => {
+  const value = String(email || '').trim().toLowerCase();
+  if (!value) return undefined;
+  const [local, domain] = value.split('@');
+  return domain ? `${local.split('+')[0]}@${domain}` : value;
+};
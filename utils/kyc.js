@@ -0,0 +1,111 @@
+// Indian KYC field formats shared by the User, Application and Eligibility models and
+// routes: PAN, Aadhaar (with its Verhoeff check digit), IFSC, mobile number and pincode.
+// Each kind normalizes what was typed (spaces, case, +91 prefix) and checks the result.
+import mongoose from 'mongoose';
+
+const isBlank = v => v === undefined || v === null || String(v).trim() === '';
+const compact = v => String(v).replace(/[\s-]/g, '');
+
+// Verhoeff multiplication and permutation tables
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// True when the last digit is the Verhoeff check digit of the rest
+export const verhoeffValid = (digits) => {
+  let c = 0;
+  [...digits].reverse().forEach((digit, i) => {
+    c = VERHOEFF_D[c][VERHOEFF_P[i % 8][Number(digit)]];
+  });
+  return c === 0;
+};
+
+// 10-digit Indian mobile as +91XXXXXXXXXX; accepts 0, 91 or +91 prefixes. null if not a mobile.
+export const toE164Mobile = (phone) => {
+  if (isBlank(phone)) return null;
+  let digits = String(phone).replace(/[\s()-]/g, '');
+  if (/^\+91\d{10}$/.test(digits)) digits = digits.slice(3);
+  else if (/^91\d{10}$/.test(digits)) digits = digits.slice(2);
+  else if (/^0\d{10}$/.test(digits)) digits = digits.slice(1);
+  return /^[6-9]\d{9}$/.test(digits) ? `+91${digits}` : null;
+};
+
+export const KYC_FIELDS = {
+  // 5 letters (the 4th is the holder type: P person, C company, H HUF, ...), 4 digits, 1 letter
+  pan: {
+    normalize: v => compact(v).toUpperCase(),
+    isValid: v => /^[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]$/.test(compact(v).toUpperCase()),
+    message: 'PAN must be 10 characters like ABCPE1234F'
+  },
+  // 12 digits, not starting with 0 or 1, ending in a Verhoeff check digit
+  aadhaar: {
+    normalize: v => compact(v),
+    isValid: v => /^[2-9]\d{11}$/.test(compact(v)) && verhoeffValid(compact(v)),
+    message: 'Aadhaar number is not valid'
+  },
+  // 4-letter bank code, a zero, then a 6-character branch code
+  ifsc: {
+    normalize: v => compact(v).toUpperCase(),
+    isValid: v => /^[A-Z]{4}0[A-Z0-9]{6}$/.test(compact(v).toUpperCase()),
+    message: 'IFSC must be 11 characters like SBIN0001234'
+  },
+  mobile: {
+    normalize: v => toE164Mobile(v) || String(v).trim(),
+    isValid: v => !!toE164Mobile(v),
+    message: 'Mobile number must be a valid 10-digit Indian mobile number'
+  },
+  pincode: {
+    normalize: v => compact(v),
+    isValid: v => /^[1-9]\d{5}$/.test(compact(v)),
+    message: 'Pincode must be 6 digits'
+  }
+};
+
+export const normalizeKyc = (kind, value) => (isBlank(value) ? value : KYC_FIELDS[kind].normalize(value));
+
+// Error message for one value, or null when it is blank or valid
+export const kycError = (kind, value) =>
+  (isBlank(value) || KYC_FIELDS[kind].isValid(value) ? null : KYC_FIELDS[kind].message);
+
+// Field-level errors keyed by path, e.g. validateKycFields({ 'personalInfo.pan': ['pan', pan] })
+export const validateKycFields = (fields) => {
+  const errors = {};
+  Object.entries(fields).forEach(([path, [kind, value]]) => {
+    const error = kycError(kind, value);
+    if (error) errors[path] = error;
+  });
+  return errors;
+};
+
+// Normalize and validate schema paths, e.g. applyKycFields(schema, { phone: 'mobile' }).
+// Values are normalized on set and in query filters. Values loaded from the database are
+// only re-checked once they change, so older records stay saveable.
+export const applyKycFields = (schema, paths) => {
+  Object.entries(paths).forEach(([path, kind]) => {
+    schema.path(path)
+      .set(v => normalizeKyc(kind, v))
+      .validate(function(v) {
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified(path)) return true;
+        return !kycError(kind, v);
+      }, KYC_FIELDS[kind].message);
+  });
+};
@@ -0,0 +1,309 @@
+// Sanction letter and loan agreement PDFs, rendered from admin-editable templates
+// (DocumentTemplate) with the application, the loan product and the site branding.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import { fileURLToPath } from 'url';
+import DocumentTemplate, { TEMPLATE_KINDS } from '../models/DocumentTemplate.model.js';
+import AdminSettings from '../models/AdminSettings.model.js';
+import Loan from '../models/Loan.model.js';
+import { buildAmortizationSchedule, calculateEmi, roundMoney } from './loanMath.js';
+import { storeDocument } from './documentStorage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEDULE_TOKEN = '{{repaymentSchedule}}';
+
+export const TEMPLATE_PLACEHOLDERS = {
+  siteName: 'Lender name (branding)',
+  contactEmail: 'Lender contact email',
+  contactPhone: 'Lender contact phone',
+  contactAddress: 'Lender address',
+  date: 'Date the document was generated',
+  applicationNumber: 'Application number',
+  applicantName: 'Applicant full name',
+  applicantEmail: 'Applicant email',
+  applicantPhone: 'Applicant phone',
+  applicantAddress: 'Applicant current address',
+  pan: 'Applicant PAN',
+  loanName: 'Loan product name',
+  loanType: 'Loan product type',
+  purpose: 'Purpose of the loan',
+  loanAmount: 'Sanctioned amount',
+  interestRate: 'Annual interest rate (%)',
+  tenure: 'Tenure in months',
+  emi: 'Monthly installment',
+  processingFee: 'Processing fee',
+  netDisbursal: 'Amount disbursed after the processing fee',
+  totalInterest: 'Total interest over the tenure',
+  totalPayable: 'Total amount payable',
+  firstDueDate: 'Indicative first EMI date',
+  repaymentSchedule: 'On a line of its own: the repayment schedule table'
+};
+
+export const DEFAULT_TEMPLATES = {
+  sanctionLetter: {
+    title: 'Sanction Letter',
+    body: `Date: {{date}}
+Application Number: {{applicationNumber}}
+
+Dear {{applicantName}},
+
+We are pleased to inform you that your application for a {{loanName}} has been sanctioned on the following terms:
+
+Sanctioned Amount: {{loanAmount}}
+Rate of Interest: {{interestRate}}% per annum (reducing balance)
+Tenure: {{tenure}} months
+EMI: {{emi}}
+Processing Fee: {{processingFee}}
+Net Disbursal: {{netDisbursal}}
+Total Interest: {{totalInterest}}
+Total Amount Payable: {{totalPayable}}
+
+The indicative repayment schedule is given below. Final due dates are fixed on disbursement.
+
+{{repaymentSchedule}}
+
+This sanction is subject to the terms of the loan agreement and to verification of the documents you have submitted.
+
+For any questions, write to us at {{contactEmail}} or call {{contactPhone}}.
+
+For {{siteName}}`
+  },
+  loanAgreement: {
+    title: 'Loan Agreement',
+    body: `This Loan Agreement is made on {{date}} between {{siteName}}, {{contactAddress}} (the "Lender") and {{applicantName}}, {{applicantAddress}}, PAN {{pan}} (the "Borrower").
+
+1. Loan. The Lender agrees to lend the Borrower {{loanAmount}} under application {{applicationNumber}} ({{loanName}}) for the purpose of {{purpose}}.
+
+2. Interest. Interest is charged at {{interestRate}}% per annum on the reducing balance.
+
+3. Repayment. The Borrower shall repay the loan in {{tenure}} equated monthly installments of {{emi}}, starting {{firstDueDate}}, as per the schedule below. Total amount payable is {{totalPayable}}.
+
+{{repaymentSchedule}}
+
+4. Fees. A processing fee of {{processingFee}} is deducted from the disbursed amount. The net amount disbursed is {{netDisbursal}}.
+
+5. Late payment. Installments not paid by their due date attract a late payment fee.
+
+6. Prepayment. The Borrower may prepay the loan in part or in full. Prepayments reduce the outstanding principal.
+
+7. Default. If the Borrower fails to pay any installment, the Lender may recover the outstanding amount as permitted by law.
+
+Borrower: {{applicantName}}
+Lender: {{siteName}}`
+  }
+};
+
+export const DOCUMENT_FILE_NAMES = {
+  sanctionLetter: 'Sanction-Letter',
+  loanAgreement: 'Loan-Agreement'
+};
+
+// Template stored by an admin, or the built-in default (version 0)
+export async function getTemplate(kind) {
+  const template = await DocumentTemplate.findOne({ kind });
+  if (template) return template;
+  return { kind, ...DEFAULT_TEMPLATES[kind], version: 0, isDefault: true };
+}
+
+// The standard PDF fonts have no rupee sign
+const formatMoney = (value) =>
+  `Rs. ${roundMoney(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '');
+
+// Terms and indicative schedule for the application's (approved) loan details
+export function loanTerms(application, { startDate = new Date() } = {}) {
+  const { loanAmount, loanTenure, interestRate = 0, processingFee = 0 } = application.loanDetails;
+  const emi = application.loanDetails.emi || calculateEmi(loanAmount, interestRate, loanTenure);
+  const schedule = buildAmortizationSchedule({
+    principal: loanAmount,
+    annualRate: interestRate,
+    tenureMonths: loanTenure,
+    emi,
+    startDate
+  });
+  const totalPayable = roundMoney(schedule.reduce((sum, i) => sum + i.amount, 0));
+  return {
+    loanAmount,
+    loanTenure,
+    interestRate,
+    emi,
+    processingFee: processingFee || 0,
+    netDisbursal: roundMoney(loanAmount - (processingFee || 0)),
+    totalInterest: roundMoney(totalPayable - loanAmount),
+    totalPayable,
+    schedule
+  };
+}
+
+export function placeholderValues({ application, loan, settings, terms, date = new Date() }) {
+  const info = application.personalInfo || {};
+  const current = application.address?.current || {};
+  return {
+    siteName: settings?.siteName || 'Beforesalary',
+    contactEmail: settings?.contactInfo?.email || '',
+    contactPhone: settings?.contactInfo?.phone || '',
+    contactAddress: settings?.contactInfo?.address || '',
+    date: formatDate(date),
+    applicationNumber: application.applicationNumber || '',
+    applicantName: info.fullName || '',
+    applicantEmail: info.email || '',
+    applicantPhone: info.phone || '',
+    applicantAddress: [current.street, current.city, current.state, current.pincode].filter(Boolean).join(', '),
+    pan: info.pan || '',
+    loanName: loan?.name || '',
+    loanType: loan?.type || '',
+    purpose: application.loanDetails?.purpose || 'personal use',
+    loanAmount: formatMoney(terms.loanAmount),
+    interestRate: String(terms.interestRate),
+    tenure: String(terms.loanTenure),
+    emi: formatMoney(terms.emi),
+    processingFee: formatMoney(terms.processingFee),
+    netDisbursal: formatMoney(terms.netDisbursal),
+    totalInterest: formatMoney(terms.totalInterest),
+    totalPayable: formatMoney(terms.totalPayable),
+    firstDueDate: formatDate(terms.schedule[0]?.dueDate)
+  };
+}
+
+// Replace {{name}} tokens; unknown tokens are left in place so template typos are visible
+export const fillTemplate = (text, values) =>
+  String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? values[key] : match));
+
+// Logo as a PNG/JPEG buffer: a local /uploads path or a remote URL. Rendering goes on
+// without it if it can't be loaded.
+async function loadLogo(url) {
+  if (!url) return null;
+  try {
+    if (url.startsWith('/uploads/')) {
+      return await fs.promises.readFile(path.join(__dirname, '../uploads', path.basename(url)));
+    }
+    if (/^https?:\/\//.test(url)) {
+      const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+      if (!response.ok) return null;
+      return Buffer.from(await response.arrayBuffer());
+    }
+  } catch (error) {
+    console.error('Could not load logo for loan documents:', error.message);
+  }
+  return null;
+}
+
+function drawSchedule(doc, schedule) {
+  const columns = [
+    { label: '#', width: 30, value: i => String(i.installmentNumber) },
+    { label: 'Due Date', width: 85, value: i => formatDate(i.dueDate) },
+    { label: 'EMI', width: 85, value: i => formatMoney(i.amount) },
+    { label: 'Principal', width: 85, value: i => formatMoney(i.principal) },
+    { label: 'Interest', width: 75, value: i => formatMoney(i.interest) },
+    { label: 'Balance', width: 95, value: i => formatMoney(i.closingBalance) }
+  ];
+  const left = doc.page.margins.left;
+  const rowHeight = 16;
+
+  const drawRow = (cells, font) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    doc.font(font).fontSize(9);
+    cells.forEach((text, idx) => {
+      doc.text(text, x, y, { width: columns[idx].width - 4, align: idx === 0 ? 'left' : 'right', lineBreak: false });
+      x += columns[idx].width;
+    });
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(c => c.label), 'Helvetica-Bold');
+  schedule.forEach(installment => drawRow(columns.map(c => c.value(installment)), 'Helvetica'));
+  doc.moveDown().font('Helvetica').fontSize(11);
+}
+
+// Render one document to a PDF buffer
+export async function renderLoanDocumentPdf({ title, body, values, schedule, settings }) {
+  const logo = await loadLogo(settings?.siteLogo);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title, Author: values.siteName } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    if (logo) {
+      try {
+        doc.image(logo, { fit: [140, 50] });
+        doc.moveDown();
+      } catch {
+        // Unsupported image format (e.g. SVG); the header text is enough
+      }
+    }
+    doc.font('Helvetica-Bold').fontSize(14).text(values.siteName);
+    const contact = [values.contactAddress, values.contactEmail, values.contactPhone].filter(Boolean).join(' | ');
+    if (contact) doc.font('Helvetica').fontSize(9).text(contact);
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(16).text(title, { align: 'center' });
+    doc.moveDown();
+
+    doc.font('Helvetica').fontSize(11);
+    String(body || '').split('\n').forEach(line => {
+      if (line.trim() === SCHEDULE_TOKEN) {
+        drawSchedule(doc, schedule);
+      } else {
+        doc.text(fillTemplate(line, values) || ' ', { align: 'left' });
+      }
+    });
+
+    doc.end();
+  });
+}
+
+// Render both documents for an approved application and store them privately. Earlier
+// versions are kept; the latest of each kind is the current one. Adds to
+// application.generatedDocuments (the caller saves) and returns the files as email attachments.
+export async function generateLoanDocuments(application, { loan, settings } = {}) {
+  loan = loan || await Loan.findById(application.loanId?._id || application.loanId);
+  settings = settings || await AdminSettings.findOne().sort({ createdAt: -1 });
+  const terms = loanTerms(application, { startDate: application.approvedAt || new Date() });
+  const values = placeholderValues({ application, loan, settings, terms });
+  const attachments = [];
+
+  for (const kind of TEMPLATE_KINDS) {
+    const template = await getTemplate(kind);
+    const buffer = await renderLoanDocumentPdf({
+      title: template.title,
+      body: template.body,
+      values,
+      schedule: terms.schedule,
+      settings
+    });
+    const filename = `${DOCUMENT_FILE_NAMES[kind]}-${application.applicationNumber || application._id}.pdf`;
+    const stored = await storeDocument({ buffer, originalname: filename, mimetype: 'application/pdf', size: buffer.length });
+
+    application.generatedDocuments.push({
+      kind,
+      ...stored,
+      templateVersion: template.version,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      generatedAt: new Date()
+    });
+    attachments.push({ filename, content: buffer, contentType: 'application/pdf' });
+  }
+
+  return attachments;
+}
+
+// The terms an applicant signs: the current sanction letter and loan agreement, and one
+// hash over both. Returns null until both documents exist.
+export function currentTerms(application) {
+  const documents = TEMPLATE_KINDS.map(kind => application.latestGeneratedDocument(kind));
+  if (documents.some(d => !d?.sha256)) return null;
+  const termsHash = crypto
+    .createHash('sha256')
+    .update(documents.map(d => `${d.kind}:${d.sha256}`).join('\n'))
+    .digest('hex');
+  return { documents, termsHash };
+}
@@ -0,0 +1,107 @@
+// Loan math helpers shared by loan accounts and repayment schedules
+
+export const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Add calendar months, clamping to the last day of shorter months (31 Jan + 1 => 28/29 Feb)
+export const addMonths = (date, months) => {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return d;
+};
+
+// Standard reducing-balance EMI: P * r * (1 + r)^n / ((1 + r)^n - 1)
+export const calculateEmi = (principal, annualRate, tenureMonths) => {
+  const P = Number(principal);
+  const n = Number(tenureMonths);
+  const r = (Number(annualRate) || 0) / 12 / 100;
+  if (!(P > 0) || !(n > 0)) return 0;
+  if (r === 0) return roundMoney(P / n);
+  const pow = Math.pow(1 + r, n);
+  return roundMoney((P * r * pow) / (pow - 1));
+};
+
+// Month-by-month amortization schedule. The last installment absorbs rounding so the
+// closing balance always ends at exactly zero. Installments fall due monthly from
+// firstDueDate, or one month after startDate when no first due date is given.
+export const buildAmortizationSchedule = ({ principal, annualRate, tenureMonths, emi, startDate = new Date(), firstDueDate }) => {
+  const n = Number(tenureMonths);
+  const r = (Number(annualRate) || 0) / 12 / 100;
+  const installmentAmount = Number(emi) > 0 ? roundMoney(emi) : calculateEmi(principal, annualRate, n);
+  const schedule = [];
+  let balance = roundMoney(principal);
+
+  for (let i = 1; i <= n && balance > 0; i++) {
+    const interest = roundMoney(balance * r);
+    let principalPart = roundMoney(installmentAmount - interest);
+    if (i === n || principalPart > balance) principalPart = balance;
+    const closingBalance = roundMoney(balance - principalPart);
+
+    schedule.push({
+      installmentNumber: i,
+      dueDate: firstDueDate ? addMonths(firstDueDate, i - 1) : addMonths(startDate, i),
+      openingBalance: balance,
+      principal: principalPart,
+      interest,
+      amount: roundMoney(principalPart + interest),
+      closingBalance
+    });
+    balance = closingBalance;
+  }
+
+  return schedule;
+};
+
+// Validate a requested amount/tenure/rate against a Loan product and price it.
+// Returns { errors } with field-level messages, or { quote }.
+export const quoteLoan = (loan, { amount, tenure, rate } = {}) => {
+  const errors = {};
+  const principal = Number(amount);
+  const months = Number(tenure);
+
+  if (amount === undefined || amount === null || amount === '' || !Number.isFinite(principal) || principal <= 0) {
+    errors.amount = 'Loan amount must be a valid number greater than 0';
+  } else if (principal < loan.minLoanAmount || principal > loan.maxLoanAmount) {
+    errors.amount = `Loan amount must be between ${loan.minLoanAmount} and ${loan.maxLoanAmount}`;
+  }
+
+  if (tenure === undefined || tenure === null || tenure === '' || !Number.isInteger(months) || months <= 0) {
+    errors.tenure = 'Loan tenure must be a whole number of months greater than 0';
+  } else if (months < loan.minTenure || months > loan.maxTenure) {
+    errors.tenure = `Loan tenure must be between ${loan.minTenure} and ${loan.maxTenure} months`;
+  }
+
+  const { min = 0, max = 0 } = loan.interestRate || {};
+  const defaultRate = loan.interestRate?.default ?? min;
+  let annualRate = defaultRate;
+  if (rate !== undefined && rate !== null && rate !== '') {
+    annualRate = Number(rate);
+    if (!Number.isFinite(annualRate) || annualRate < min || annualRate > max) {
+      errors.rate = `Interest rate must be between ${min}% and ${max}%`;
+    }
+  }
+
+  if (Object.keys(errors).length) return { errors };
+
+  const emi = calculateEmi(principal, annualRate, months);
+  const schedule = buildAmortizationSchedule({ principal, annualRate, tenureMonths: months, emi });
+  const totalPayable = roundMoney(schedule.reduce((sum, i) => sum + i.amount, 0));
+  const processingFee = roundMoney(principal * (loan.processingFee || 0) / 100);
+
+  return {
+    quote: {
+      loanAmount: principal,
+      tenure: months,
+      interestRate: annualRate,
+      emi,
+      totalInterest: roundMoney(totalPayable - principal),
+      totalPayable,
+      processingFee,
+      netDisbursal: roundMoney(principal - processingFee),
+      schedule
+    }
+  };
+};
@@ -0,0 +1,12 @@
+import User from '../models/User.model.js';
+import { sendEmail } from './sendEmail.js';
+
+// Email every active admin, plus any addresses in ADMIN_NOTIFY_EMAILS (comma separated)
+export async function notifyAdmins({ subject, html, text }) {
+  const admins = await User.find({ role: 'admin', isActive: true }).select('email');
+  const extra = (process.env.ADMIN_NOTIFY_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean);
+  const recipients = [...new Set([...admins.map(a => a.email), ...extra].filter(Boolean))];
+  if (!recipients.length) return { success: false, error: 'No admin recipients' };
+
+  return sendEmail({ to: recipients.join(', '), subject, html, text });
+}
@@ -0,0 +1,109 @@
+import RateLimit from '../models/RateLimit.model.js';
+import { toE164Mobile } from './kyc.js';
+
+// Request throttling for the auth and OTP endpoints. Counters live in Mongo so limits hold
+// across server instances. Every limit has a default below and can be overridden with
+// RATE_LIMIT_<NAME>=<max>/<window>, e.g. RATE_LIMIT_LOGIN_IP=20/15m (window in s, m or h).
+
+export const DEFAULT_LIMITS = {
+  LOGIN_IP: '30/15m',
+  LOGIN_ACCOUNT: '10/15m',
+  OTP_SEND_IP: '10/1h',
+  OTP_SEND_ACCOUNT: '5/1h',
+  OTP_RESEND: '1/60s', // cooldown between OTPs to the same address
+  OTP_VERIFY_IP: '30/15m',
+  OTP_VERIFY_ACCOUNT: '10/15m'
+};
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600 };
+
+const parseLimit = (spec) => {
+  const match = /^(\d+)\s*\/\s*(\d+)\s*([smh]?)$/.exec(String(spec || '').trim());
+  return match && {
+    max: Number(match[1]),
+    windowSeconds: Number(match[2]) * UNIT_SECONDS[match[3] || 's']
+  };
+};
+
+export const getLimit = (name) =>
+  parseLimit(process.env[`RATE_LIMIT_${name}`]) || parseLimit(DEFAULT_LIMITS[name]);
+
+// Count one request against `key`. Resolves to { allowed, retryAfter } (seconds until the
+// window resets). The window is created or renewed atomically in a single update.
+export const hit = async (key, { max, windowSeconds }) => {
+  const now = new Date();
+  const inWindow = { $gt: ['$resetAt', now] };
+  const update = [{
+    $set: {
+      count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+      resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowSeconds * 1000)] }
+    }
+  }];
+
+  let counter;
+  try {
+    counter = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first requests racing to create the counter; the loser just increments it
+    if (error.code !== 11000) throw error;
+    counter = await RateLimit.findOneAndUpdate({ key }, update, { new: true });
+  }
+
+  return {
+    allowed: counter.count <= max,
+    retryAfter: Math.max(1, Math.ceil((counter.resetAt - now) / 1000))
+  };
+};
+
+// Lowercased email or +91 mobile from the request body, so variants share one counter
+export const requestIdentifier = (req) => {
+  const { email, phone } = req.body || {};
+  if (email) return `email:${String(email).trim().toLowerCase()}`;
+  if (phone) return `phone:${toE164Mobile(phone) || String(phone).trim()}`;
+  return null;
+};
+
+export const sendTooManyRequests = (res, retryAfter, message) => {
+  const minutes = Math.ceil(retryAfter / 60);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: message || `Too many attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter
+  });
+};
+
+// Middleware applying the named limits, e.g. rateLimit({ ip: 'LOGIN_IP', account: 'LOGIN_ACCOUNT' }).
+// `ip` counts per client address, `account` per email/phone in the body and, on routes behind
+// `protect`, per signed-in user as well. If the counter store
+// is unavailable the request is let through rather than locking everyone out. `message` may
+// be a function of the seconds to wait.
+export const rateLimit = ({ ip, account, message }) => async (req, res, next) => {
+  try {
+    const identifier = requestIdentifier(req);
+    const checks = [
+      ip && [`${ip}:${req.ip}`, ip],
+      account && identifier && [`${account}:${identifier}`, account],
+      account && req.user && [`${account}:user:${req.user._id}`, account]
+    ].filter(Boolean);
+
+    for (const [key, name] of checks) {
+      const result = await hit(key, getLimit(name));
+      if (!result.allowed) {
+        return sendTooManyRequests(res, result.retryAfter,
+          typeof message === 'function' ? message(result.retryAfter) : message);
+      }
+    }
+  } catch (error) {
+    console.error('[RATE_LIMIT] Counter unavailable, allowing request:', error.message);
+  }
+  next();
+};
+
+// Shared by every endpoint that sends or checks an OTP. Without them, requesting a fresh OTP
+// resets its attempt count and the per-OTP cap alone would allow unlimited guessing.
+export const otpSendLimit = [
+  rateLimit({ ip: 'OTP_SEND_IP', account: 'OTP_SEND_ACCOUNT' }),
+  rateLimit({ account: 'OTP_RESEND', message: seconds => `Please wait ${seconds} seconds before requesting another OTP.` })
+];
+export const otpVerifyLimit = rateLimit({ ip: 'OTP_VERIFY_IP', account: 'OTP_VERIFY_ACCOUNT' });
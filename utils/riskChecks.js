@@ -0,0 +1,146 @@
+// Duplicate and fraud screening. Flags records whose PAN, Aadhaar, phone, email or uploaded
+// files also appear on records belonging to someone else, and PANs used for many
+// applications in a short time. Flags are attached to the record for admins to review;
+// they never block a submission on their own.
+import Application from '../models/Application.model.js';
+import Eligibility from '../models/Eligibility.model.js';
+import { RISK_LEVELS } from '../models/riskFlag.schema.js';
+
+const MAX_MATCHES = 10;
+
+// N applications (or eligibility checks) with one PAN within M days is suspicious
+export const getVelocityConfig = () => ({
+  max: Number(process.env.RISK_VELOCITY_MAX) || 3,
+  days: Number(process.env.RISK_VELOCITY_DAYS) || 30
+});
+
+const SEVERITY = {
+  duplicate_pan: 'high',
+  duplicate_aadhaar: 'high',
+  duplicate_document: 'high',
+  pan_velocity: 'high',
+  duplicate_phone: 'medium',
+  duplicate_email: 'low'
+};
+
+const LABELS = {
+  pan: 'PAN',
+  aadhaar: 'Aadhaar',
+  phone: 'phone number',
+  email: 'email'
+};
+
+const applicationMatch = a => ({ model: 'Application', id: a._id, userId: a.userId, reference: a.applicationNumber });
+const eligibilityMatch = e => ({ model: 'Eligibility', id: e._id, reference: e.email });
+
+const flag = (type, message, matches) => ({ type, severity: SEVERITY[type], message, matches, detectedAt: new Date() });
+
+export const riskLevelOf = flags =>
+  flags.reduce((level, f) => (RISK_LEVELS.indexOf(f.severity) > RISK_LEVELS.indexOf(level) ? f.severity : level), 'none');
+
+function applyFlags(record, flags) {
+  record.riskFlags = flags;
+  record.riskLevel = riskLevelOf(flags);
+  record.riskCheckedAt = new Date();
+  return flags;
+}
+
+// Screen an application (before it is saved). Matches only count when they belong to a
+// different user account.
+export async function detectApplicationRisks(application) {
+  const identity = application.refreshIdentity();
+  const others = { _id: { $ne: application._id }, userId: { $ne: application.userId }, status: { $ne: 'Draft' } };
+  const flags = [];
+
+  for (const key of ['pan', 'aadhaar', 'phone', 'email']) {
+    if (!identity[key]) continue;
+    const matches = await Application.find({ ...others, [`identity.${key}`]: identity[key] })
+      .select('applicationNumber userId')
+      .limit(MAX_MATCHES)
+      .lean();
+    if (matches.length) {
+      flags.push(flag(`duplicate_${key}`, `Same ${LABELS[key]} used on another account's application`, matches.map(applicationMatch)));
+    }
+  }
+
+  const hashes = application.documents.map(d => d.sha256).filter(Boolean);
+  if (hashes.length) {
+    const matches = await Application.find({ ...others, 'documents.sha256': { $in: hashes } })
+      .select('applicationNumber userId')
+      .limit(MAX_MATCHES)
+      .lean();
+    if (matches.length) {
+      flags.push(flag('duplicate_document', 'An uploaded file also appears on another account\'s application', matches.map(applicationMatch)));
+    }
+  }
+
+  if (identity.pan) {
+    const { max, days } = getVelocityConfig();
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const recent = await Application.find({
+      _id: { $ne: application._id },
+      'identity.pan': identity.pan,
+      status: { $ne: 'Draft' },
+      createdAt: { $gte: since }
+    }).select('applicationNumber userId').lean();
+    if (recent.length + 1 > max) {
+      flags.push(flag('pan_velocity', `${recent.length + 1} applications with this PAN in the last ${days} days`, recent.slice(0, MAX_MATCHES).map(applicationMatch)));
+    }
+  }
+
+  return applyFlags(application, flags);
+}
+
+// Screen an eligibility check (before it is saved). Without accounts to compare, a PAN
+// match counts when it was submitted with a different email.
+export async function detectEligibilityRisks(eligibility) {
+  const { pan, email } = eligibility.refreshIdentity();
+  const flags = [];
+  if (!pan) return applyFlags(eligibility, flags);
+
+  const [eligibilityMatches, applicationMatches] = await Promise.all([
+    Eligibility.find({ _id: { $ne: eligibility._id }, 'identity.pan': pan, 'identity.email': { $ne: email } })
+      .select('email')
+      .limit(MAX_MATCHES)
+      .lean(),
+    Application.find({ 'identity.pan': pan, 'identity.email': { $ne: email }, status: { $ne: 'Draft' } })
+      .select('applicationNumber userId')
+      .limit(MAX_MATCHES)
+      .lean()
+  ]);
+  if (eligibilityMatches.length || applicationMatches.length) {
+    flags.push(flag('duplicate_pan', 'Same PAN submitted with a different email', [
+      ...eligibilityMatches.map(eligibilityMatch),
+      ...applicationMatches.map(applicationMatch)
+    ]));
+  }
+
+  const { max, days } = getVelocityConfig();
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const recent = await Eligibility.find({ _id: { $ne: eligibility._id }, 'identity.pan': pan, createdAt: { $gte: since } })
+    .select('email')
+    .lean();
+  if (recent.length + 1 > max) {
+    flags.push(flag('pan_velocity', `${recent.length + 1} eligibility checks with this PAN in the last ${days} days`, recent.slice(0, MAX_MATCHES).map(eligibilityMatch)));
+  }
+
+  return applyFlags(eligibility, flags);
+}
+
+// Response body for the applicant: the freshly screened record without its risk fields
+export function withoutRiskDetails(record) {
+  const { riskFlags, riskLevel, riskCheckedAt, ...data } = record.toJSON();
+  return data;
+}
+
+// Screening must not stop a submission, so failures are logged and the record is left unflagged
+export async function screenForRisks(record) {
+  try {
+    return record instanceof Eligibility
+      ? await detectEligibilityRisks(record)
+      : await detectApplicationRisks(record);
+  } catch (error) {
+    console.error('Error running duplicate/fraud checks:', error);
+    return [];
+  }
+}
@@ -68,7 +68,7 @@ function preflight() {
   return { ok: !missing.length && !empty.length, missing, empty, gmailHint };
 }
 
-export async function sendEmail({ to, subject, html, text }) {
+export async function sendEmail({ to, subject, html, text, attachments }) {
   const pf = preflight();
   if (!pf.ok) {
     return {
@@ -86,7 +86,8 @@ export async function sendEmail({ to, subject, html, text }) {
       to,
       subject,
       html,
-      text
+      text,
+      attachments
     });
     return { success: true, messageId: info.messageId };
   } catch (err) {
@@ -117,4 +118,10 @@ export async function sendOTPEmail(to, otp, purpose = 'verification') {
   return sendEmail({ to, subject, html, text });
 }
 
-
+// For user-supplied values placed in email HTML
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
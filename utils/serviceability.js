@@ -0,0 +1,43 @@
+// Where a loan product is offered. A loan's eligibilityCriteria can list serviceable
+// pincodes and/or districts; with neither, the loan is offered everywhere. Districts are
+// matched through the pincode directory.
+import Pincode from '../models/Pincode.model.js';
+import { kycError, normalizeKyc } from './kyc.js';
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+export const serviceableAreas = (loan) => {
+  const criteria = (loan?.toObject ? loan.toObject() : loan)?.eligibilityCriteria || {};
+  return {
+    pincodes: (criteria.serviceablePincodes || []).filter(Boolean),
+    districts: (criteria.serviceableDistricts || []).filter(Boolean)
+  };
+};
+
+// `location` is the directory record for the pincode (or null when it isn't listed)
+export const isServiceable = (loan, pincode, location) => {
+  const { pincodes, districts } = serviceableAreas(loan);
+  if (!pincodes.length && !districts.length) return true;
+  if (pincodes.includes(normalizeKyc('pincode', String(pincode ?? '')))) return true;
+  return !!location && districts.some(d => sameName(d, location.district));
+};
+
+// Directory record for a pincode, or null if it is malformed or not listed
+export const lookupPincode = async (pincode) => {
+  if (!pincode || kycError('pincode', pincode)) return null;
+  return Pincode.findOne({ pincode: normalizeKyc('pincode', pincode) }).lean();
+};
+
+export const checkServiceability = async (loan, pincode) => {
+  const location = await lookupPincode(pincode);
+  return { serviceable: isServiceable(loan, pincode, location), location };
+};
+
+// Shape returned by the lookup endpoint and used to fill in city/state
+export const locationSummary = (location) => location && {
+  pincode: location.pincode,
+  city: location.city || location.district,
+  district: location.district,
+  state: location.state,
+  areas: location.areas || []
+};
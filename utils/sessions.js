@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import Session from '../models/Session.model.js';
+import { generateToken } from './generateToken.js';
+
+// Refresh tokens are "<session id>.<random secret>"; only a hash of the secret is stored.
+// Each refresh swaps in a new secret, so an old token coming back means it was copied.
+
+const MAX_PREVIOUS_HASHES = 20;
+
+const refreshDays = () => Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+const refreshExpiry = () => new Date(Date.now() + refreshDays() * 24 * 60 * 60 * 1000);
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  return /^[a-f\d]{24}$/i.test(sessionId) && secret ? { sessionId, secret } : null;
+};
+
+const tokensFor = (session, secret) => ({
+  token: generateToken(session.userId, session._id),
+  refreshToken: `${session._id}.${secret}`
+});
+
+// Start a session for a user who has just signed in; returns { token, refreshToken }
+export const startSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashSecret(secret),
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+  return tokensFor(session, secret);
+};
+
+// Exchange a refresh token for new tokens. Resolves to { token, refreshToken, session }, or
+// { reused: true } when a rotated-away token was presented (the session is then revoked),
+// or null when the token is unknown, expired or revoked.
+export const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const hash = hashSecret(parsed.secret);
+  const secret = newSecret();
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: hashSecret(secret), lastUsedAt: now, expiresAt: refreshExpiry(), ip: req.ip },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_HASHES } }
+    },
+    { new: true }
+  );
+  if (session) return { ...tokensFor(session, secret), session };
+
+  const reused = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, previousTokenHashes: hash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+  );
+  if (reused) {
+    console.warn(`[SESSION] Refresh token reuse detected for session ${reused._id} (user ${reused.userId}); session revoked`);
+    return { reused: true };
+  }
+  return null;
+};
+
+// Revoke every active session matching `filter` (e.g. { userId }); resolves to the count
+export const revokeSessions = async (filter, reason) => {
+  const result = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// The session an access token belongs to, if it is still usable by that user
+export const activeSession = async (sessionId, userId) => {
+  if (!sessionId) return null;
+  const session = await Session.findById(sessionId);
+  return session && session.isActive() && String(session.userId) === String(userId) ? session : null;
+};
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toE164Mobile } from './kyc.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// SMS delivery for OTPs. Indian operators only deliver commercial SMS that match a template
+// registered on the DLT platform, so every message is sent as a template ID plus values.
+//
+// A driver implements:
+//   send({ to, text, templateId, variables }) -> Promise<{ messageId, status }>
+// where `to` is +91XXXXXXXXXX, `text` the rendered message and status 'sent' or 'queued'.
+// Select one with SMS_DRIVER (default: console). The console and file drivers only record
+// the message, for local development and tests; in production they report a failed send.
+
+// Must match the registered DLT template word for word; {{otp}} and {{purpose}} are its variables
+const DEFAULT_OTP_TEMPLATE = 'Your Beforesalary OTP for {{purpose}} is {{otp}}. It is valid for 10 minutes. Do not share it with anyone.';
+
+const renderTemplate = (template, variables) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => String(variables[key] ?? ''));
+
+const templateVariables = (template) => [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+
+const consoleDriver = {
+  async send({ to, text, templateId }) {
+    console.log(`\n========================================`);
+    console.log(`📱 SMS to ${to}${templateId ? ` (DLT template ${templateId})` : ''}`);
+    console.log(text);
+    console.log(`========================================\n`);
+    return { messageId: `console-${Date.now()}`, status: 'sent' };
+  }
+};
+
+// Appends one JSON line per message to SMS_FILE (default: logs/sms.log)
+const fileDriver = {
+  async send(message) {
+    const file = process.env.SMS_FILE || path.join(__dirname, '../logs/sms.log');
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const messageId = `file-${Date.now()}`;
+    await fs.promises.appendFile(file, JSON.stringify({ messageId, at: new Date().toISOString(), ...message }) + '\n');
+    return { messageId, status: 'sent' };
+  }
+};
+
+// MSG91 Flow API. SMS_OTP_TEMPLATE_ID is the MSG91 template, which carries the DLT template
+// ID and sender ID configured in the MSG91 panel.
+const msg91Driver = {
+  async send({ to, templateId, variables }) {
+    const response = await fetch('https://control.msg91.com/api/v5/flow/', {
+      method: 'POST',
+      headers: { authkey: process.env.MSG91_AUTH_KEY, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        template_id: templateId,
+        short_url: '0',
+        recipients: [{ mobiles: to.replace('+', ''), ...variables }]
+      }),
+      signal: AbortSignal.timeout(10000)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.type !== 'success') {
+      throw new Error(`MSG91 rejected the message: ${body.message || `HTTP ${response.status}`}`);
+    }
+    return { messageId: body.message, status: 'queued' };
+  }
+};
+
+// Fast2SMS DLT route. SMS_OTP_TEMPLATE_ID is the DLT message ID shown in Fast2SMS, and
+// variables are passed in the order they appear in the template.
+const fast2smsDriver = {
+  async send({ to, templateId, variables }) {
+    const response = await fetch('https://www.fast2sms.com/dev/bulkV2', {
+      method: 'POST',
+      headers: { authorization: process.env.FAST2SMS_API_KEY, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        route: 'dlt',
+        sender_id: process.env.SMS_SENDER_ID,
+        message: templateId,
+        variables_values: Object.values(variables).join('|'),
+        numbers: to.slice(-10)
+      }),
+      signal: AbortSignal.timeout(10000)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.return !== true) {
+      throw new Error(`Fast2SMS rejected the message: ${[].concat(body.message || `HTTP ${response.status}`).join(', ')}`);
+    }
+    return { messageId: body.request_id, status: 'queued' };
+  }
+};
+
+const drivers = { console: consoleDriver, file: fileDriver, msg91: msg91Driver, fast2sms: fast2smsDriver };
+
+// Register another gateway (e.g. Gupshup, Kaleyra, Twilio)
+export function registerSmsDriver(name, driver) {
+  if (typeof driver.send !== 'function') throw new Error(`SMS driver '${name}' must implement send()`);
+  drivers[name] = driver;
+}
+
+export function getSmsDriver(name = process.env.SMS_DRIVER || 'console') {
+  const driver = drivers[name];
+  if (!driver) throw new Error(`Unknown SMS driver '${name}'`);
+  return { name, driver };
+}
+
+// Drivers that don't actually reach the phone
+export const isLocalSmsDriver = (name = process.env.SMS_DRIVER || 'console') => ['console', 'file'].includes(name);
+
+if (process.env.NODE_ENV === 'production' && isLocalSmsDriver()) {
+  console.warn(`[SMS] SMS_DRIVER is '${process.env.SMS_DRIVER || 'console'}'; phone OTP sends will fail until a gateway is configured.`);
+}
+
+// Send an OTP by SMS. Resolves to a delivery record for the OTP
+// ({ channel, provider, templateId, status, messageId, error, attemptedAt }); never throws.
+export async function sendOTPSMS(phone, otp, purposeText = 'verification') {
+  const delivery = {
+    channel: 'sms',
+    provider: process.env.SMS_DRIVER || 'console',
+    templateId: process.env.SMS_OTP_TEMPLATE_ID,
+    attemptedAt: new Date()
+  };
+
+  try {
+    const to = toE164Mobile(phone);
+    if (!to) throw new Error('Invalid mobile number');
+    const { name, driver } = getSmsDriver();
+    if (isLocalSmsDriver(name) && process.env.NODE_ENV === 'production') {
+      throw new Error(`SMS driver '${name}' does not deliver messages; set SMS_DRIVER to a gateway`);
+    }
+    if (!isLocalSmsDriver(name) && !delivery.templateId) throw new Error('SMS_OTP_TEMPLATE_ID is not set');
+
+    // Keyed in the order the variables appear in the template, for gateways that take a list
+    const template = process.env.SMS_OTP_TEMPLATE || DEFAULT_OTP_TEMPLATE;
+    const values = { otp, purpose: purposeText };
+    const variables = Object.fromEntries(templateVariables(template).map(key => [key, values[key] ?? '']));
+    const text = renderTemplate(template, values);
+    const result = await driver.send({ to, text, templateId: delivery.templateId, variables });
+    return { ...delivery, status: result.status || 'sent', messageId: result.messageId };
+  } catch (error) {
+    console.error('[SMS] OTP send failed:', error.message);
+    return { ...delivery, status: 'failed', error: error.message };
+  }
+}
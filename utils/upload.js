@@ -56,6 +56,21 @@ export const uploadMultiple = upload.fields([
 // Upload handler that accepts all files (for dynamic file fields)
 export const uploadAny = upload.any();
 
+// Application documents (KYC, bank statements, selfies) are kept in memory and handed to
+// the private document storage instead of being written to the public uploads folder
+export const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    // Files are buffered in RAM, so cap how many one request can carry
+    files: Number(process.env.DOCUMENT_UPLOAD_MAX_FILES) || 20,
+    fields: 200
+  },
+  fileFilter: fileFilter
+});
+
+export const uploadDocuments = documentUpload.any();
+
 // Image-only file filter for logo/favicon uploads
 const imageFileFilter = (req, file, cb) => {
   const allowedTypes = /jpeg|jpg|png|gif|svg|webp/;